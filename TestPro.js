@@ -7,20 +7,48 @@ const multer = require("multer");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
-const csv = require("csv-writer");
 const XLSX = require("xlsx");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
 const axios = require("axios");
 require("dotenv").config();
 const { Parser } = require('json2csv');
 const cloudinary = require("cloudinary").v2;
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
 const submissionQueue = [];
 let activeSubmissions = 0;
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "paystack";
+const TOKEN_EXPIRY_DAYS = Number(process.env.TOKEN_EXPIRY_DAYS) || 0; // 0 = paid tokens never expire
+const MAX_TOKEN_BATCH = 1000;
+const TOKEN_PRICE = Number(process.env.TOKEN_PRICE) || 0; // minimum paid amount for a token; 0 = not enforced
+const STALE_PENDING_HOURS = Number(process.env.STALE_PENDING_HOURS) || 1;
+const MAX_RECONCILIATION_REQUERIES = 200; // provider lookups per run
+const RECONCILIATION_INTERVAL_HOURS = Number(process.env.RECONCILIATION_INTERVAL_HOURS) || 0; // 0 = manual only
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "Africa/Lagos";
 const MONGO_URI = process.env.MONGO_URI;
 const MAX_CONCURRENT_SUBMISSIONS = 25;
+const CA_MAX_SCORE = Number(process.env.CA_MAX_SCORE) || 30;
+const INSTITUTION_NAME = process.env.INSTITUTION_NAME || "CBT Examination Results";
+const MAX_PASSPORT_BYTES = 2 * 1024 * 1024; // largest passport photo fetched for a slip
+const EXAM_GRACE_SECONDS = Number(process.env.EXAM_GRACE_SECONDS) || 60;
+const ATTEMPT_SWEEP_INTERVAL_MS = 60 * 1000;
+const JWT_SECRET = process.env.JWT_SECRET;
+const ENABLE_TEST_LOGIN = process.env.ENABLE_TEST_LOGIN === "true" && process.env.NODE_ENV !== "production";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const BCRYPT_ROUNDS = 10;
+
+// Every login signs a JWT, so there is no point starting without a secret
+if (!JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set. Refusing to start.");
+  process.exit(1);
+}
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
@@ -29,7 +57,8 @@ cloudinary.config({
 
 
 // ✅ Middleware
-app.use(express.json());
+// Keep the raw body around: webhook signatures are computed over the exact bytes sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static("public"));
 app.use("/uploads", express.static("uploads"));
 //app.use(cors({ origin: '*', credentials: true }));
@@ -46,9 +75,7 @@ app.use(cors({
 
 // ✅ Ensure upload directories exist
 const uploadDir = path.join(__dirname, "uploads");
-const scheduleDir = path.join(__dirname, "uploads/schedules");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
-if (!fs.existsSync(scheduleDir)) fs.mkdirSync(scheduleDir, { recursive: true });
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadDir),
@@ -56,18 +83,29 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-const scheduleUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => cb(null, scheduleDir),
-    filename: (req, file, cb) => cb(null, Date.now() + '-' + file.originalname)
-  })
-});
+// Spreadsheets and text files that are parsed straight away and never kept
+const memoryUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 // ✅ Connect to MongoDB
 mongoose.connect(MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
-}).then(() => console.log("✅ MongoDB connected"))
+}).then(() => {
+  console.log("✅ MongoDB connected");
+  console.log(`💳 Payment provider: ${paymentProvider.name}`);
+  // Replaces the old one-entry-per-matric unique index on scheduled students
+  ScheduledStudent.syncIndexes()
+    .catch(err => console.error("❌ Scheduled student index sync failed:", err));
+  seedMatricRegistry()
+    .catch(err => console.error("❌ Matric registry seed/load failed, using built-in formats:", err));
+  ensureTokenIndexes()
+    .catch(err => console.error("❌ Token indexes incomplete:", err.message));
+  // Background sweeps need the database. Each one claims work atomically, so it is
+  // safe for several instances to run them at once.
+  setInterval(sweepExpiredAttempts, ATTEMPT_SWEEP_INTERVAL_MS);
+  setInterval(syncSessionStatuses, ATTEMPT_SWEEP_INTERVAL_MS);
+  startScheduledReconciliation();
+})
   .catch(err => console.error("❌ MongoDB error:", err));
 
 // ✅ SCHEMAS
@@ -89,6 +127,13 @@ const examSchema = new mongoose.Schema({
   level: String,
   duration: Number,
   numQuestions: Number,
+  marking: {
+    marksPerQuestion: { type: Number, default: 1 },
+    negativeMarks: { type: Number, default: 0 }, // deducted per wrong answer; blanks cost nothing
+    maxScore: { type: Number, default: null },   // scale the raw score to this, e.g. 70
+  },
+  passMark: { type: Number, default: null }, // percentage; overrides the grading policy
+  creditUnits: { type: Number, default: 1 },
 });
 
 const submissionSchema = new mongoose.Schema({
@@ -100,12 +145,53 @@ const submissionSchema = new mongoose.Schema({
   submittedAt: { type: Date, default: Date.now }
 });
 
+// The paper a candidate was given: which questions, in what order, and how the
+// options were relabelled. optionOrder[i] is the original key shown as letter i.
+const examPaperSchema = new mongoose.Schema({
+  matric: { type: String, required: true },
+  courseCode: { type: String, required: true },
+  seed: String,
+  questions: [{
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+    optionOrder: [String],
+  }],
+  createdAt: { type: Date, default: Date.now },
+});
+examPaperSchema.index({ matric: 1, courseCode: 1 }, { unique: true });
+
+// A candidate's sitting of an exam. The server owns the clock: the deadline is
+// fixed from Exam.duration when the attempt starts.
+const attemptSchema = new mongoose.Schema({
+  matric: { type: String, required: true },
+  name: String,
+  department: String,
+  courseCode: { type: String, required: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExamSession' },
+  startedAt: { type: Date, default: Date.now },
+  deadline: Date, // null when the exam has no duration set
+  status: { type: String, enum: ['in-progress', 'submitted', 'auto-submitted'], default: 'in-progress' },
+  answers: { type: Object, default: {} }, // autosaved answers, keyed by question id
+  lastSavedAt: Date,
+  submittedAt: Date,
+});
+attemptSchema.index({ matric: 1, courseCode: 1 }, { unique: true });
+attemptSchema.index({ status: 1, deadline: 1 });
+
+const QUESTION_TYPES = ['single', 'multi', 'true-false', 'numeric', 'text'];
+
 const questionSchema = new mongoose.Schema({
   courseCode: String,
   course: String,
+  type: { type: String, enum: QUESTION_TYPES, default: 'single' },
   questionText: String,
-  options: { a: String, b: String, c: String, d: String },
-  correctAnswer: String,
+  options: { a: String, b: String, c: String, d: String }, // single / multi
+  correctAnswer: String,     // single: option key; true-false: "true" or "false"
+  correctAnswers: [String],  // multi: every correct option key
+  numericAnswer: Number,     // numeric
+  tolerance: { type: Number, default: 0 }, // numeric: accepted +/- difference
+  acceptedAnswers: [String], // text: accepted variants
+  caseSensitive: { type: Boolean, default: false }, // text
+  marks: Number, // overrides the exam's marksPerQuestion when set
 });
 
 const resultSchema = new mongoose.Schema({
@@ -113,49 +199,242 @@ const resultSchema = new mongoose.Schema({
   courseCode: String,
   score: Number,          
   total: Number,          
+  rawScore: Number,       // marks earned before scaling to marking.maxScore
+  rawTotal: Number,       
   caScore: Number,        
+  caMissing: { type: Boolean, default: false }, // no CA record when the result was written
+  previousCaScore: Number, // CA dropped when the result was flagged as missing CA
   totalScore: Number,     
+  percentage: Number,     // totalScore over exam total + CA maximum
+  grade: String,
+  gradePoint: Number,
+  passed: Boolean,
   timestamp: { type: Date, default: Date.now },
 });
 
+// Uploaded continuous-assessment score for one student in one course
+const caScoreSchema = new mongoose.Schema({
+  matric: { type: String, required: true },
+  courseCode: { type: String, required: true },
+  score: { type: Number, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  updatedAt: { type: Date, default: Date.now },
+});
+caScoreSchema.index({ matric: 1, courseCode: 1 }, { unique: true });
+
+// Grade bands and pass mark. department: null is the institution-wide policy.
+const gradingPolicySchema = new mongoose.Schema({
+  department: { type: String, default: null, unique: true },
+  bands: [{ grade: String, minScore: Number, gradePoint: Number }], // minScore is a percentage
+  passMark: { type: Number, default: 40 },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// A rescore of every submission in a course, with a before/after report
+const regradeJobSchema = new mongoose.Schema({
+  courseCode: { type: String, required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' }, // the edit that triggered it, if any
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  changes: [{
+    matric: String,
+    name: String,
+    before: { score: Number, total: Number, totalScore: Number, grade: String },
+    after: { score: Number, total: Number, totalScore: Number, grade: String },
+  }],
+  unchanged: { type: Number, default: 0 },
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+});
+
+// Matric number layouts, tried in priority order
+const matricFormatSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  pattern: { type: String, required: true }, // whole-matric regex with a (?<dept>...) group
+  level: { type: String, required: true },
+  // When true the format's level replaces whatever level the student entered (e.g. ND1/ND2)
+  levelAuthoritative: { type: Boolean, default: false },
+  codeTable: { type: String, required: true }, // which DepartmentCode table the dept code is looked up in
+  priority: { type: Number, default: 100 },
+  example: String,
+  active: { type: Boolean, default: true },
+});
+
+const departmentCodeSchema = new mongoose.Schema({
+  table: { type: String, required: true },
+  code: { type: String, required: true },
+  department: { type: String, required: true },
+});
+departmentCodeSchema.index({ table: 1, code: 1 }, { unique: true });
+
+// A re-derivation of Student department/level from the matric registry
+const matricBackfillJobSchema = new mongoose.Schema({
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  dryRun: { type: Boolean, default: true },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  changes: [{
+    matric: String,
+    name: String,
+    before: { department: String, level: String },
+    after: { department: String, level: String },
+    departmentChanged: Boolean,
+    levelChanged: Boolean, // flagged separately: access rules and schedules are keyed on level
+  }],
+  unmatched: [{ matric: String, name: String, reason: String }],
+  unchanged: { type: Number, default: 0 },
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+});
+
 const allowedGroupSchema = new mongoose.Schema({
   department: String,
   level: String,
   status: { type: String, enum: ['allowed', 'blocked'], default: 'allowed' },
+  courseCodes: [String], // empty means every course
+  validFrom: Date,
+  validUntil: Date,
+});
+
+// Allow or block one student, ahead of their department/level rules
+const accessOverrideSchema = new mongoose.Schema({
+  matric: { type: String, required: true },
+  status: { type: String, enum: ['allowed', 'blocked'], required: true },
+  courseCodes: [String], // empty means every course
+  courseKey: { type: String, default: "" }, // sorted course codes joined, for the unique index
+  validFrom: Date,
+  validUntil: Date,
+  reason: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
 });
+accessOverrideSchema.index({ matric: 1, courseKey: 1 }, { unique: true });
 
 const scheduledSchema = new mongoose.Schema({
   name: String,
   department: String,
   level: String,
-  matric: { type: String, unique: true },
+  matric: { type: String, required: true },
+  courseCode: String, // missing on entries uploaded before course-specific scheduling
+  sitting: String,
+  // Set by the seating planner
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+  venue: String, // venue name, kept in step with the venue on rename
+  seat: Number,
+  batch: Number,
+  batchStartsAt: Date,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
+});
+scheduledSchema.index({ matric: 1, courseCode: 1 }, { unique: true });
+
+// An exam hall or computer lab; seats are numbered 1..capacity
+const venueSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  capacity: { type: Number, required: true, min: 1 },
+  active: { type: Boolean, default: true },
+  notes: String,
 });
 
-const sessionSchema = new mongoose.Schema({
-  sessionActive: { type: Boolean, default: false },
+// One exam sitting: which courses, when, who and where
+const examSessionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  courseCodes: [String],
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  candidates: [String], // matric numbers; empty admits every scheduled student
+  venue: String,
+  status: { type: String, enum: ['scheduled', 'open', 'closed', 'cancelled'], default: 'scheduled' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
 });
+examSessionSchema.index({ status: 1, startsAt: 1, endsAt: 1 });
+examSessionSchema.index({ candidates: 1 });
+
+const TOKEN_PURPOSES = ['student-registration', 'public-registration', 'any'];
 
 const transactionSchema = new mongoose.Schema({
   email: String,
   amount: Number,
   reference: String,
   status: { type: String, default: 'pending' },
+  provider: { type: String, default: 'paystack' },
+  purpose: { type: String, enum: TOKEN_PURPOSES, default: 'any' }, // purpose of the token it buys
   createdAt: { type: Date, default: Date.now },
 });
+
 const tokenSchema = new mongoose.Schema({
   studentName: String,
   studentEmail: String,
   amount: Number,
   reference: String,
-  token: String,
+  token: { type: String, unique: true },
   status: { type: String, enum: ['pending', 'success', 'used'], default: 'pending' },
-  source: { type: String, enum: ['payment', 'manual'], default: 'manual' }, // ✅ NEW
+  source: { type: String, enum: ['payment', 'manual', 'batch'], default: 'manual' }, // ✅ NEW
+  purpose: { type: String, enum: TOKEN_PURPOSES, default: 'any' }, // older tokens work for either
+  expiresAt: { type: Date, default: null },
+  batchId: String,  // tokens minted together for a school-paid cohort
+  batchLabel: String,
+  usedAt: Date,
   createdAt: { type: Date, default: Date.now },
+}, { autoIndex: false }); // built on connect by ensureTokenIndexes, after the duplicate check
+// One token per payment reference; manual tokens have no reference
+tokenSchema.index({ reference: 1 }, { unique: true, partialFilterExpression: { reference: { $type: 'string' } } });
+
+// Webhook deliveries already handled, so a replayed event is ignored
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventKey: { type: String, required: true, unique: true },
+  event: String,
+  reference: String,
+  receivedAt: { type: Date, default: Date.now },
+});
+
+// A Transaction ↔ Token cross-check and what it found
+const reconciliationRunSchema = new mongoose.Schema({
+  requery: Boolean,
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  checked: { transactions: Number, tokens: Number, requeried: Number },
+  summary: mongoose.Schema.Types.Mixed, // count per finding type
+  findings: [{
+    type: { type: String },
+    reference: String,
+    transactionId: mongoose.Schema.Types.ObjectId,
+    tokenId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    amount: Number,
+    providerStatus: String,
+    details: String,
+    repairable: Boolean,
+    outcome: String,
+    repairedAt: Date,
+    repairedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  }],
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
 });
 
+const ADMIN_ROLES = ['super-admin', 'examiner', 'bursar', 'invigilator'];
+
 const adminSchema = new mongoose.Schema({
   username: String,
   password: String,
+  // Admins created before roles existed had full access, so they default to super-admin
+  role: { type: String, enum: ADMIN_ROLES, default: 'super-admin' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+});
+
+const adminInviteSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true, unique: true },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
 });
 
 const settingsSchema = new mongoose.Schema({
@@ -172,76 +451,205 @@ const publicUserSchema = new mongoose.Schema({
   registeredAt: { type: Date, default: Date.now }
 });
 
+// One record per login. The refresh token is stored hashed; revoking the
+// record invalidates both the refresh token and any access token issued with it.
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userType: { type: String, enum: ['student', 'public', 'admin'], required: true },
+  identifier: String, // matric, email or username — for dashboards
+  refreshTokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
 
 // ✅ MODELS
 const Student = mongoose.model("Student", studentSchema);
 const Exam = mongoose.model("Exam", examSchema);
 const Question = mongoose.model("Question", questionSchema);
 const Submission = mongoose.model("Submission", submissionSchema);
+const ExamPaper = mongoose.model("ExamPaper", examPaperSchema);
+const Attempt = mongoose.model("Attempt", attemptSchema);
 const Result = mongoose.model("Result", resultSchema);
+const CaScore = mongoose.model("CaScore", caScoreSchema);
+const GradingPolicy = mongoose.model("GradingPolicy", gradingPolicySchema);
+const RegradeJob = mongoose.model("RegradeJob", regradeJobSchema);
+const MatricFormat = mongoose.model("MatricFormat", matricFormatSchema);
+const DepartmentCode = mongoose.model("DepartmentCode", departmentCodeSchema);
+const MatricBackfillJob = mongoose.model("MatricBackfillJob", matricBackfillJobSchema);
 const AllowedGroup = mongoose.model("AllowedGroup", allowedGroupSchema);
+const AccessOverride = mongoose.model("AccessOverride", accessOverrideSchema);
 const ScheduledStudent = mongoose.model("ScheduledStudent", scheduledSchema);
-const SessionControl = mongoose.model("SessionControl", sessionSchema);
+const Venue = mongoose.model("Venue", venueSchema);
+const ExamSession = mongoose.model("ExamSession", examSessionSchema);
 const Transaction = mongoose.model("Transaction", transactionSchema);
 const Token = mongoose.model("Token", tokenSchema);
-const studentSessions = new Set();
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+const ReconciliationRun = mongoose.model("ReconciliationRun", reconciliationRunSchema);
 const Admin = mongoose.model("Admin", adminSchema);
+const AdminInvite = mongoose.model("AdminInvite", adminInviteSchema);
 const Settings = mongoose.model("Settings", settingsSchema);
 const PublicUser = mongoose.model("PublicUser", publicUserSchema);
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
 
-// Routes
+// ✅ AUTH HELPERS
 
-function getDepartmentAndLevelFromMatric(matric) {
-  // ---------- NEW HND FORMAT: H24/04/BE/002 ----------
-  const newHndPattern = /^H\d{2}\/\d{2}\/[A-Za-z]{2}\/\d{3}$/;
-
-  if (newHndPattern.test(matric)) {
-    const parts = matric.split("/");
-    const deptCode = parts[1]; // e.g., "04"
-
-    const hndMap = {
-      "01": "Accountancy",
-      "02": "Biochemistry",
-      "03": "Business Administration",
-      "04": "Computer Engineering",
-      "05": "Computer Science",
-      "06": "Electrical Engineering",
-      "07": "Mass Communication",
-      "08": "Microbiology"
-    };
+const isPasswordHash = (value) => typeof value === "string" && /^\$2[aby]\$\d{2}\$/.test(value);
 
-    return {
-      department: hndMap[deptCode] || "Unknown",
-      level: "HND"
-    };
+const hashPassword = (plain) => bcrypt.hash(plain, BCRYPT_ROUNDS);
+
+// Checks a password against a Student / PublicUser / Admin document.
+// Records created before hashing was introduced still hold plaintext;
+// those are upgraded to a hash the first time the user logs in successfully.
+async function verifyPassword(user, plain) {
+  if (!user || !user.password || typeof plain !== "string") return false;
+
+  if (isPasswordHash(user.password)) {
+    return bcrypt.compare(plain, user.password);
   }
 
-  // ---------- OLD HND FORMAT: HND/23/01/001 ----------
-  if (matric.startsWith("HND/")) {
-    const parts = matric.split("/");
-    const deptCode = parts[2]; // "01"
-
-    const hndMap = {
-      "01": "Accountancy",
-      "02": "Biochemistry",
-      "03": "Business Administration",
-      "04": "Computer Engineering",
-      "05": "Computer Science",
-      "06": "Electrical Engineering",
-      "07": "Mass Communication",
-      "08": "Microbiology"
-    };
+  // Legacy plaintext record: compare digests so the check takes the same time either way
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashSecret(user.password), "hex"),
+    Buffer.from(hashSecret(plain), "hex")
+  );
+  if (!matches) return false;
 
-    return {
-      department: hndMap[deptCode] || "Unknown",
-      level: "HND"
-    };
+  user.password = await hashPassword(plain);
+  await user.save();
+  return true;
+}
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+const hashSecret = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function signAccessToken(session) {
+  return jwt.sign(
+    { sub: String(session.userId), type: session.userType, sid: String(session._id) },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Create a session for a freshly authenticated user and return its token pair
+async function issueAuthTokens(user, userType, identifier) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await AuthSession.create({
+    userId: user._id,
+    userType,
+    identifier,
+    refreshTokenHash: hashSecret(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return { accessToken: signAccessToken(session), refreshToken, tokenType: "Bearer", expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Strip the password hash before sending a user document to the client
+function toSafeUser(user) {
+  const { password, ...rest } = user.toObject();
+  return rest;
+}
+
+// Require a valid, unrevoked access token: `Authorization: Bearer <token>`.
+// Sets req.auth = { userId, userType, sessionId } for downstream handlers.
+async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ message: "Authentication required." });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    const session = await AuthSession.findById(payload.sid);
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: "Session has ended. Please log in again." });
+    }
+
+    req.auth = { userId: payload.sub, userType: payload.type, sessionId: payload.sid };
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: "Invalid or expired access token." });
+  }
+}
+
+// Require an admin token whose role is one of `roles`. Super-admins pass every check.
+// The role is read from the database on each request so role changes apply immediately.
+function requireRole(...roles) {
+  return [
+    requireAuth,
+    async (req, res, next) => {
+      if (req.auth.userType !== "admin") {
+        return res.status(403).json({ message: "Admin access required." });
+      }
+
+      try {
+        const admin = await Admin.findById(req.auth.userId).select("-password");
+        if (!admin) {
+          return res.status(401).json({ message: "Admin account no longer exists." });
+        }
+
+        if (admin.role !== "super-admin" && !roles.includes(admin.role)) {
+          return res.status(403).json({ message: "You do not have permission to perform this action." });
+        }
+
+        req.admin = admin;
+        next();
+      } catch (err) {
+        console.error("Role check error:", err);
+        res.status(500).json({ message: "Server error" });
+      }
+    }
+  ];
+}
+
+// Require a student token. Loads the student into req.student.
+const requireStudent = [
+  requireAuth,
+  async (req, res, next) => {
+    if (req.auth.userType !== "student") {
+      return res.status(403).json({ message: "Student access required." });
+    }
+
+    try {
+      const student = await Student.findById(req.auth.userId).select("-password");
+      if (!student) {
+        return res.status(401).json({ message: "Student account no longer exists." });
+      }
+
+      req.student = student;
+      next();
+    } catch (err) {
+      console.error("Student auth error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
+];
 
-  // ---------- ND FORMAT: COS/026001 ----------
-  const prefix = matric.split("/")[0].toUpperCase();
+// Routes
 
-  const ndMap = {
+// ✅ MATRIC FORMAT REGISTRY
+// Patterns and department codes live in the database so new formats don't need a deploy.
+// These built-in entries seed an empty registry and serve until it has loaded.
+
+const DEFAULT_DEPARTMENT_CODES = {
+  hnd: {
+    "01": "Accountancy",
+    "02": "Biochemistry",
+    "03": "Business Administration",
+    "04": "Computer Engineering",
+    "05": "Computer Science",
+    "06": "Electrical Engineering",
+    "07": "Mass Communication",
+    "08": "Microbiology"
+  },
+  nd: {
     "S": "Science Laboratory Technology",
     "COS": "Computer Science",
     "COE": "Computer Engineering",
@@ -251,14 +659,363 @@ function getDepartmentAndLevelFromMatric(matric) {
     "M": "Mass Communication",
     "A": "Accountancy",
     "MLT": "Medical Laboratory Technology"
-  };
+  },
+};
+
+// Each pattern must match the whole matric and capture the department code as (?<dept>...)
+const DEFAULT_MATRIC_FORMATS = [
+  { name: "New HND", pattern: "H\\d{2}/(?<dept>\\d{2})/[A-Z]{2}/\\d{3}", level: "HND", codeTable: "hnd", priority: 10, example: "H24/04/BE/002" },
+  { name: "Old HND", pattern: "HND/\\d{2}/(?<dept>\\d{2})/\\d+", level: "HND", codeTable: "hnd", priority: 20, example: "HND/23/01/001" },
+  { name: "ND", pattern: "(?<dept>[A-Z]+)/\\d+", level: "ND", codeTable: "nd", priority: 30, example: "COS/026001" },
+];
+
+const MATRIC_REGISTRY_TTL_MS = 60 * 1000;
+
+// Compile a stored pattern, anchored to the whole matric. Throws on invalid patterns.
+// Patterns are admin-supplied and run on every registration, so anything prone to
+// catastrophic backtracking is rejected (see hasQuantifiedRiskyGroup), and matrics
+// are length-capped before matching.
+const MAX_MATRIC_PATTERN_LENGTH = 200;
+const MAX_MATRIC_LENGTH = 40;
+const QUANTIFIER_AT = /^(?:[+*?]|\{\d+(?:,\d*)?\})/;
+
+// True if any group that contains a quantifier or alternation, at any depth, is itself
+// repeated: (\d+)+, (A|AB)*, (?:(A+))*, (A+){15} and so on. A plain optional (...)? is
+// allowed since it never repeats, and it still counts as a quantifier for outer groups.
+function hasQuantifiedRiskyGroup(pattern) {
+  const groups = [{ risky: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "[") {
+      // Skip the character class; quantifier characters inside it are literal
+      i++;
+      if (pattern[i] === "^") i++;
+      if (pattern[i] === "]") i++;
+      while (i < pattern.length && pattern[i] !== "]") i += pattern[i] === "\\" ? 2 : 1;
+    } else if (ch === "(") {
+      groups.push({ risky: false });
+      if (pattern[i + 1] === "?") {
+        // Group syntax, not a quantifier: (?: (?= (?! (?<= (?<! (?<name>
+        i += 2;
+        if (pattern[i] === "<" && pattern[i + 1] !== "=" && pattern[i + 1] !== "!") {
+          i = pattern.indexOf(">", i);
+          if (i === -1) return false; // malformed; new RegExp reports it
+        } else if (pattern[i] === "<") {
+          i++;
+        }
+      }
+    } else if (ch === ")") {
+      if (groups.length === 1) return false; // unbalanced; new RegExp reports it
+      const closed = groups.pop();
+      const repeated = QUANTIFIER_AT.test(pattern.slice(i + 1)) && !/^\?(?![+*?{])/.test(pattern.slice(i + 1));
+      if (closed.risky && repeated) return true;
+      if (closed.risky) groups[groups.length - 1].risky = true;
+    } else if (ch === "|" || QUANTIFIER_AT.test(pattern.slice(i))) {
+      group.risky = true;
+    }
+  }
+  return false;
+}
 
-  return {
-    department: ndMap[prefix] || "Unknown",
-    level: "ND"
-  };
+function compileMatricPattern(pattern) {
+  if (String(pattern).length > MAX_MATRIC_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_MATRIC_PATTERN_LENGTH} characters`);
+  }
+  if (hasQuantifiedRiskyGroup(String(pattern))) {
+    throw new Error("Pattern repeats a group that already contains a quantifier or alternation");
+  }
+  const regex = new RegExp(`^(?:${pattern})$`, "i");
+  if (!/\(\?<dept>/.test(pattern)) {
+    throw new Error("Pattern must capture the department code as (?<dept>...)");
+  }
+  return regex;
+}
+
+function buildMatricRegistry(formats, codes) {
+  const tables = new Map();
+  codes.forEach(({ table, code, department }) => {
+    if (!tables.has(table)) tables.set(table, new Map());
+    tables.get(table).set(code.toUpperCase(), department);
+  });
+
+  const compiled = [];
+  formats
+    .filter(f => f.active !== false)
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+    .forEach(f => {
+      try {
+        compiled.push({ ...f, regex: compileMatricPattern(f.pattern) });
+      } catch (err) {
+        console.error(`Skipping matric format "${f.name}":`, err.message);
+      }
+    });
+
+  return { formats: compiled, tables, loadedAt: Date.now() };
+}
+
+const defaultDepartmentCodeRows = () => Object.entries(DEFAULT_DEPARTMENT_CODES)
+  .flatMap(([table, codes]) => Object.entries(codes).map(([code, department]) => ({ table, code, department })));
+
+let matricRegistry = buildMatricRegistry(DEFAULT_MATRIC_FORMATS, defaultDepartmentCodeRows());
+matricRegistry.loadedAt = 0;
+
+async function loadMatricRegistry() {
+  const [formats, codes] = await Promise.all([MatricFormat.find().lean(), DepartmentCode.find().lean()]);
+  matricRegistry = buildMatricRegistry(formats, codes);
+  return matricRegistry;
+}
+
+// Reload the registry if it is older than the TTL, so edits made on another instance show up
+async function ensureMatricRegistry() {
+  if (Date.now() - matricRegistry.loadedAt > MATRIC_REGISTRY_TTL_MS) {
+    await loadMatricRegistry();
+  }
+  return matricRegistry;
+}
+
+// Fill an empty registry with the built-in formats and department codes
+async function seedMatricRegistry() {
+  if (!(await MatricFormat.exists({}))) await MatricFormat.insertMany(DEFAULT_MATRIC_FORMATS);
+  if (!(await DepartmentCode.exists({}))) await DepartmentCode.insertMany(defaultDepartmentCodeRows());
+  await loadMatricRegistry();
+}
+
+// Parse a matric against the registry (first matching format wins).
+// `error` is set when no format matches or the department code is not registered.
+function getDepartmentAndLevelFromMatric(matric, registry = matricRegistry) {
+  const value = String(matric || "").trim().toUpperCase();
+  if (value.length > MAX_MATRIC_LENGTH) {
+    return { department: "Unknown", level: "Unknown", levelAuthoritative: false, format: null, code: null, error: "Matric is too long." };
+  }
+
+  for (const format of registry.formats) {
+    const match = format.regex.exec(value);
+    if (!match) continue;
+
+    const code = (match.groups?.dept || "").toUpperCase();
+    const department = registry.tables.get(format.codeTable)?.get(code);
+    return {
+      department: department || "Unknown",
+      level: format.level,
+      levelAuthoritative: !!format.levelAuthoritative,
+      format: format.name,
+      code,
+      error: department ? null : `Department code "${code}" is not registered for ${format.name} matrics.`
+    };
+  }
+
+  return { department: "Unknown", level: "Unknown", levelAuthoritative: false, format: null, code: null, error: "Matric does not match any known format." };
+}
+
+// ✅ Registry management (super-admin)
+
+app.get("/api/matric/formats", requireRole("super-admin"), async (req, res) => {
+  try {
+    res.json(await MatricFormat.find().sort({ priority: 1, name: 1 }));
+  } catch (err) {
+    console.error("Matric format list error:", err);
+    res.status(500).json({ message: "Failed to load matric formats" });
+  }
+});
+
+// Check a format payload; returns an error message or null
+function validateMatricFormat(format) {
+  if (!format.name || !format.pattern || !format.level || !format.codeTable) {
+    return "name, pattern, level and codeTable are required.";
+  }
+  try {
+    const regex = compileMatricPattern(format.pattern);
+    if (format.example && !regex.test(String(format.example).trim())) {
+      return `Example "${format.example}" does not match the pattern.`;
+    }
+  } catch (err) {
+    return `Invalid pattern: ${err.message}`;
+  }
+  return null;
+}
+
+const MATRIC_FORMAT_FIELDS = ["name", "pattern", "level", "levelAuthoritative", "codeTable", "priority", "example", "active"];
+const pickFields = (source, fields) =>
+  Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+// ✅ Add a matric format. Body: { name, pattern, level, codeTable, levelAuthoritative?, priority?, example? }
+app.post("/api/matric/formats", requireRole("super-admin"), async (req, res) => {
+  const format = pickFields(req.body, MATRIC_FORMAT_FIELDS);
+  const error = validateMatricFormat(format);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const saved = await MatricFormat.create(format);
+    await loadMatricRegistry();
+    res.status(201).json({ message: "Matric format added", format: saved });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: "A format with this name already exists." });
+    console.error("Matric format create error:", err);
+    res.status(500).json({ message: "Failed to add matric format" });
+  }
+});
+
+app.put("/api/matric/formats/:id", requireRole("super-admin"), async (req, res) => {
+  try {
+    const format = await MatricFormat.findById(req.params.id);
+    if (!format) return res.status(404).json({ message: "Matric format not found" });
+
+    format.set(pickFields(req.body, MATRIC_FORMAT_FIELDS));
+    const error = validateMatricFormat(format);
+    if (error) return res.status(400).json({ message: error });
+
+    await format.save();
+    await loadMatricRegistry();
+    res.json({ message: "Matric format updated", format });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: "A format with this name already exists." });
+    console.error("Matric format update error:", err);
+    res.status(500).json({ message: "Failed to update matric format" });
+  }
+});
+
+app.delete("/api/matric/formats/:id", requireRole("super-admin"), async (req, res) => {
+  try {
+    const format = await MatricFormat.findByIdAndDelete(req.params.id);
+    if (!format) return res.status(404).json({ message: "Matric format not found" });
+    await loadMatricRegistry();
+    res.json({ message: "Matric format deleted" });
+  } catch (err) {
+    console.error("Matric format delete error:", err);
+    res.status(500).json({ message: "Failed to delete matric format" });
+  }
+});
+
+// ✅ Department codes, optionally for one table (?table=hnd)
+app.get("/api/matric/departments", requireRole("super-admin"), async (req, res) => {
+  try {
+    const filter = req.query.table ? { table: req.query.table } : {};
+    res.json(await DepartmentCode.find(filter).sort({ table: 1, code: 1 }));
+  } catch (err) {
+    console.error("Department code list error:", err);
+    res.status(500).json({ message: "Failed to load department codes" });
+  }
+});
+
+// ✅ Add or rename a department code. Body: { table, code, department }
+app.put("/api/matric/departments", requireRole("super-admin"), async (req, res) => {
+  const table = String(req.body.table || "").trim();
+  const code = String(req.body.code || "").trim().toUpperCase();
+  const department = String(req.body.department || "").trim();
+
+  if (!table || !code || !department) {
+    return res.status(400).json({ message: "table, code and department are required." });
+  }
+
+  try {
+    const saved = await DepartmentCode.findOneAndUpdate({ table, code }, { department }, { upsert: true, new: true });
+    await loadMatricRegistry();
+    res.json({ message: `${table} code ${code} maps to ${department}`, departmentCode: saved });
+  } catch (err) {
+    console.error("Department code save error:", err);
+    res.status(500).json({ message: "Failed to save department code" });
+  }
+});
+
+app.delete("/api/matric/departments/:id", requireRole("super-admin"), async (req, res) => {
+  try {
+    const code = await DepartmentCode.findByIdAndDelete(req.params.id);
+    if (!code) return res.status(404).json({ message: "Department code not found" });
+    await loadMatricRegistry();
+    res.json({ message: "Department code deleted" });
+  } catch (err) {
+    console.error("Department code delete error:", err);
+    res.status(500).json({ message: "Failed to delete department code" });
+  }
+});
+
+// ✅ Parse a sample matric and show which formats were tried
+app.post("/api/matric/test", requireRole("super-admin"), async (req, res) => {
+  const matric = String(req.body.matric || "").trim().toUpperCase();
+  if (!matric) return res.status(400).json({ message: "matric is required." });
+
+  try {
+    const registry = await loadMatricRegistry();
+    const tried = registry.formats.map(f => ({ format: f.name, pattern: f.pattern, matched: f.regex.test(matric) }));
+    res.json({ matric, result: getDepartmentAndLevelFromMatric(matric, registry), tried });
+  } catch (err) {
+    console.error("Matric test error:", err);
+    res.status(500).json({ message: "Failed to test matric" });
+  }
+});
+
+// Re-derive department for every student from the current registry. Level is only
+// re-derived for formats whose level is authoritative; otherwise the level the
+// student registered with is kept, since access rules and schedules are keyed on it.
+async function runMatricBackfillJob(job) {
+  try {
+    const registry = await loadMatricRegistry();
+    const students = await Student.find({}, "matric name department level");
+    const changes = [];
+    const unmatched = [];
+    let unchanged = 0;
+
+    for (const student of students) {
+      const parsed = getDepartmentAndLevelFromMatric(student.matric, registry);
+      if (parsed.error) {
+        unmatched.push({ matric: student.matric, name: student.name, reason: parsed.error });
+        continue;
+      }
+
+      const before = { department: student.department, level: student.level };
+      const after = { department: parsed.department, level: parsed.levelAuthoritative ? parsed.level : student.level };
+      const departmentChanged = before.department !== after.department;
+      const levelChanged = before.level !== after.level;
+      if (!departmentChanged && !levelChanged) {
+        unchanged++;
+        continue;
+      }
+
+      if (!job.dryRun) await Student.updateOne({ _id: student._id }, after);
+      changes.push({ matric: student.matric, name: student.name, before, after, departmentChanged, levelChanged });
+    }
+
+    job.status = "completed";
+    job.changes = changes;
+    job.unmatched = unmatched;
+    job.unchanged = unchanged;
+  } catch (err) {
+    console.error("Matric backfill error:", err);
+    job.status = "failed";
+    job.error = err.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
 }
 
+// ✅ Start a backfill. Dry run (report only) unless ?confirm=true. Poll the returned job id.
+app.post("/api/matric/backfill", requireRole("super-admin"), async (req, res) => {
+  try {
+    const job = await MatricBackfillJob.create({ triggeredBy: req.admin._id, dryRun: req.query.confirm !== "true" });
+    runMatricBackfillJob(job).catch(err => console.error("Matric backfill crashed:", err));
+    res.status(202).json({ message: job.dryRun ? "Backfill dry run started" : "Backfill started", jobId: job._id });
+  } catch (err) {
+    console.error("Matric backfill start error:", err);
+    res.status(500).json({ message: "Failed to start backfill" });
+  }
+});
+
+app.get("/api/matric/backfill/:id", requireRole("super-admin"), async (req, res) => {
+  try {
+    const job = await MatricBackfillJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Backfill job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("Matric backfill fetch error:", err);
+    res.status(500).json({ message: "Failed to load backfill job" });
+  }
+});
+
   // Student Registration
 
 app.post("/api/students/register", async (req, res) => {
@@ -278,9 +1035,9 @@ app.post("/api/students/register", async (req, res) => {
     }
 
     // ✅ Validate token
-    const validToken = await Token.findOne({ token, status: "success" });
-    if (!validToken) {
-      return res.status(400).json({ message: "Invalid or already used token." });
+    const { token: validToken, error: tokenError } = await findUsableToken(token, "student-registration");
+    if (tokenError) {
+      return res.status(400).json({ message: tokenError });
     }
 
     // ✅ Check duplicates
@@ -293,8 +1050,14 @@ app.post("/api/students/register", async (req, res) => {
       });
     }
 
-    // ✅ Department detection
-    const { department } = getDepartmentAndLevelFromMatric(matric);
+    // ✅ Department detection — the matric must match a registered format
+    await ensureMatricRegistry();
+    const derived = getDepartmentAndLevelFromMatric(matric);
+    if (derived.error) {
+      return res.status(400).json({ message: `Invalid matric number. ${derived.error}` });
+    }
+    const { department } = derived;
+    if (derived.levelAuthoritative) level = derived.level;
 
     // ✅ Save student with Cloudinary image URL
     const newStudent = new Student({
@@ -304,15 +1067,21 @@ app.post("/api/students/register", async (req, res) => {
       level,
       phone,
       email,
-      password,
+      password: await hashPassword(password),
       passport, // now a Cloudinary URL
     });
 
-    await newStudent.save();
+    // ✅ Mark token as used — claimed first so two sign-ups can't share it
+    if (!(await claimToken(validToken))) {
+      return res.status(400).json({ message: "Invalid or already used token." });
+    }
 
-    // ✅ Mark token as used
-    validToken.status = "used";
-    await validToken.save();
+    try {
+      await newStudent.save();
+    } catch (err) {
+      await releaseToken(validToken);
+      throw err;
+    }
 
     res.status(201).json({ message: "Student registered successfully." });
 
@@ -327,119 +1096,386 @@ app.post("/api/students/register", async (req, res) => {
 
 // Student Login
 app.post("/api/students/login", async (req, res) => {
-  let { matric, password } = req.body;
-
-  // ✅ Convert to uppercase to handle case-insensitive matching
-  matric = matric.toUpperCase();
-
-  // 1. ✅ Check session status
-  const session = await SessionControl.findOne();
-  if (!session || !session.sessionActive) {
-    return res.status(403).json({ message: "Exam session is not active. Please contact your admin." });
-  }
-
-  // 2. ✅ Check student credentials
-  const student = await Student.findOne({ matric, password });
-  if (!student) {
-    return res.status(401).json({ message: "Invalid matric number or password." });
-  }
-
-  // 3. ✅ Check if department/level is allowed
-  const isAllowed = await AllowedGroup.findOne({
-    department: student.department,
-    level: student.level,
-    status: 'allowed'
-  });
-
-  if (!isAllowed) {
-    return res.status(403).json({ message: "Your department and level is currently restricted from accessing the exam." });
-  }
+  try {
+    let { matric, password } = req.body;
 
-  // 4. ✅ Check if student is scheduled
-  const isScheduled = await ScheduledStudent.findOne({ matric: student.matric });
+    if (!matric || !password) {
+      return res.status(400).json({ message: "Matric number and password are required." });
+    }
 
-  if (!isScheduled) {
-    return res.status(403).json({ message: "You are not scheduled for this exam." });
-  }
+    // ✅ Convert to uppercase to handle case-insensitive matching
+    matric = String(matric).toUpperCase();
 
-  // 5. ✅ Passed all checks — allow login
-  studentSessions.add(matric);
-  res.json({ message: "Login successful", student });
-});
+    // 1. ✅ Check student credentials
+    const student = await Student.findOne({ matric });
+    if (!student || !(await verifyPassword(student, password))) {
+      return res.status(401).json({ message: "Invalid matric number or password." });
+    }
 
-// TEST Login route for load testing (no hashing)
-app.post("/api/students/test-login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+    // 2. ✅ Check if student is scheduled
+    const courseCodes = await scheduledCourseCodes(student.matric);
 
-    if (!email || !password) {
-      return res.status(400).json({ message: "Email and password required." });
+    if (courseCodes && !courseCodes.length) {
+      return res.status(403).json({ message: "You are not scheduled for this exam." });
     }
 
-    // Only match from test accounts (optional)
-    const student = await Student.findOne({ email });
+    // 3. ✅ Check access rules (skipped while global access control is off)
+    const access = await checkStudentAccess(student, courseCodes);
 
-    if (!student) {
-      return res.status(404).json({ message: "Student not found." });
+    if (!access.allowed) {
+      return res.status(403).json({ message: "You are currently restricted from accessing the exam." });
     }
 
-    if (student.password !== password) {
-      return res.status(401).json({ message: "Incorrect password." });
+    // 4. ✅ Check a session is open for one of the candidate's allowed courses
+    const session = await findOpenSession(student.matric, access.allowedCourses);
+    if (!session) {
+      return res.status(403).json({ message: "Your exam session is not open. Please contact your admin." });
     }
 
-    res.status(200).json({ message: "Login successful", student });
-
+    // 5. ✅ Passed all checks — allow login
+    const tokens = await issueAuthTokens(student, "student", student.matric);
+    res.json({
+      message: "Login successful",
+      student: toSafeUser(student),
+      session: { id: session._id, name: session.name, courseCodes: session.courseCodes, venue: session.venue, endsAt: session.endsAt },
+      ...tokens
+    });
   } catch (err) {
-    console.error("Test login error:", err.message);
+    console.error("Student login error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Start or Stop Exam Session (POST)
-app.post("/api/schedule/session", async (req, res) => {
-  const { active } = req.body;
+// TEST Login route for load testing (skips session/schedule checks). It hands out real
+// student tokens, so it only exists outside production and when ENABLE_TEST_LOGIN=true.
+if (ENABLE_TEST_LOGIN) {
+  app.post("/api/students/test-login", async (req, res) => {
+    try {
+      const { email, password } = req.body;
 
-  try {
-    let session = await SessionControl.findOne();
-    if (!session) session = new SessionControl();
-    session.sessionActive = !!active;
-    await session.save();
+      if (!email || !password) {
+        return res.status(400).json({ message: "Email and password required." });
+      }
 
-    res.json({ message: `Session is now ${active ? "ACTIVE" : "INACTIVE"}` });
-  } catch (err) {
-    console.error("Session Toggle Error:", err);
-    res.status(500).json({ message: "Failed to update session status" });
-  }
-});
+      // Only match from test accounts (optional)
+      const student = await Student.findOne({ email });
 
-//  Check Session Status (GET)
-app.get("/api/schedule/session/status", async (req, res) => {
-  try {
-    const session = await SessionControl.findOne();
-    res.json({ active: session?.sessionActive || false });
-  } catch (err) {
-    console.error("Session Status Error:", err);
-    res.status(500).json({ message: "Could not fetch session status" });
-  }
-});
+      if (!student) {
+        return res.status(404).json({ message: "Student not found." });
+      }
 
-//  Check if Student is Allowed to Take Exam (POST)
-app.post("/api/schedule/check", async (req, res) => {
-  const { matric } = req.body;
+      if (!(await verifyPassword(student, password))) {
+        return res.status(401).json({ message: "Incorrect password." });
+      }
+
+      const tokens = await issueAuthTokens(student, "student", student.matric);
+      res.status(200).json({ message: "Login successful", student: toSafeUser(student), ...tokens });
+
+    } catch (err) {
+      console.error("Test login error:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+}
+
+// ✅ EXAM SESSIONS — each sitting has its own courses, window, candidates and venue
+
+const sessionIsOpenFilter = (now = new Date()) => ({
+  status: { $in: ['scheduled', 'open'] },
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+});
+
+// The open session this candidate belongs to, optionally limited to a course code
+// or a list of them. A session with no candidate list admits every scheduled student.
+async function findOpenSession(matric, courseCodes) {
+  const filter = {
+    ...sessionIsOpenFilter(),
+    $or: [{ candidates: matric }, { candidates: { $size: 0 } }],
+  };
+  if (Array.isArray(courseCodes)) filter.courseCodes = { $in: courseCodes.map(c => matchCourseCode(c).$regex) };
+  else if (courseCodes) filter.courseCodes = matchCourseCode(courseCodes);
+
+  // Named candidate lists take precedence over open-to-all sessions
+  const sessions = await ExamSession.find(filter).sort({ startsAt: 1 });
+  return sessions.find(s => s.candidates.includes(matric)) || sessions[0] || null;
+}
+
+// ✅ Open and close sessions as their windows start and end
+async function syncSessionStatuses() {
+  try {
+    const now = new Date();
+    await ExamSession.updateMany(sessionIsOpenFilter(now), { status: 'open' });
+    await ExamSession.updateMany({ status: { $in: ['scheduled', 'open'] }, endsAt: { $lte: now } }, { status: 'closed' });
+  } catch (err) {
+    console.error("Session status sync error:", err);
+  }
+}
+
+// Validate and normalize a create/update payload. `existing` supplies defaults on update.
+function parseSessionInput(body, existing = {}) {
+  const errors = [];
+  const value = {};
+
+  const name = body.name ?? existing.name;
+  if (!name || !String(name).trim()) errors.push("name is required");
+  else value.name = String(name).trim();
+
+  const courseCodes = body.courseCodes ?? body.courseCode ?? existing.courseCodes;
+  const codes = [].concat(courseCodes || []).map(c => String(c).trim().toUpperCase()).filter(Boolean);
+  if (!codes.length) errors.push("at least one course code is required");
+  value.courseCodes = [...new Set(codes)];
+
+  const startsAt = new Date(body.startsAt ?? existing.startsAt);
+  const endsAt = new Date(body.endsAt ?? existing.endsAt);
+  if (isNaN(startsAt.getTime())) errors.push("startsAt must be a valid date");
+  if (isNaN(endsAt.getTime())) errors.push("endsAt must be a valid date");
+  if (!errors.length && endsAt <= startsAt) errors.push("endsAt must be after startsAt");
+  value.startsAt = startsAt;
+  value.endsAt = endsAt;
+
+  const candidates = body.candidates ?? existing.candidates ?? [];
+  if (!Array.isArray(candidates)) errors.push("candidates must be an array of matric numbers");
+  else value.candidates = [...new Set(candidates.map(m => String(m).trim().toUpperCase()).filter(Boolean))];
+
+  value.venue = body.venue !== undefined ? (String(body.venue || "").trim() || undefined) : existing.venue;
+
+  return { errors, value };
+}
+
+// Candidates already booked into another session whose window overlaps this one
+async function findCandidateClashes(value, excludeId) {
+  if (!value.candidates.length) return [];
+
+  const others = await ExamSession.find({
+    _id: { $ne: excludeId },
+    status: { $ne: 'cancelled' },
+    startsAt: { $lt: value.endsAt },
+    endsAt: { $gt: value.startsAt },
+    candidates: { $in: value.candidates },
+  });
+
+  const wanted = new Set(value.candidates);
+  return others.flatMap(s => s.candidates
+    .filter(m => wanted.has(m))
+    .map(matric => ({ matric, session: s.name, sessionId: s._id })));
+}
+
+// Pull the session's end forward to now and stop the clock on attempts still running in it.
+// Returns how many attempts were cut short.
+async function endSessionNow(session) {
+  const now = new Date();
+  if (session.endsAt > now) session.endsAt = now;
+  await session.save();
+
+  const { modifiedCount } = await Attempt.updateMany(
+    { sessionId: session._id, status: 'in-progress', $or: [{ deadline: null }, { deadline: { $gt: now } }] },
+    { deadline: now }
+  );
+  return modifiedCount;
+}
+
+// ✅ Create an exam session
+// Body: { name, courseCodes: ["COM 211"], startsAt, endsAt, candidates?: [matric], venue? }
+app.post("/api/schedule/sessions", requireRole("invigilator"), async (req, res) => {
+  const { errors, value } = parseSessionInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ message: "Invalid session", errors });
+  }
+
+  try {
+    const clashes = await findCandidateClashes(value);
+    if (clashes.length) {
+      return res.status(409).json({ message: "Some candidates are already in an overlapping session", clashes });
+    }
+
+    const session = await ExamSession.create({ ...value, createdBy: req.admin._id });
+    await syncSessionStatuses();
+
+    res.status(201).json({ message: "Session created", session: await ExamSession.findById(session._id) });
+  } catch (err) {
+    console.error("Create session error:", err);
+    res.status(500).json({ message: "Failed to create session" });
+  }
+});
+
+// ✅ List sessions: ?status=open&date=2025-07-14
+app.get("/api/schedule/sessions", requireRole("invigilator"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.date) {
+      const dayStart = new Date(req.query.date);
+      if (isNaN(dayStart.getTime())) {
+        return res.status(400).json({ message: "date must be a valid date" });
+      }
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+      filter.startsAt = { $lt: dayEnd };
+      filter.endsAt = { $gt: dayStart };
+    }
+
+    const sessions = await ExamSession.find(filter).sort({ startsAt: 1 });
+    res.json(sessions);
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ message: "Failed to load sessions" });
+  }
+});
+
+app.get("/api/schedule/sessions/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    res.json(session);
+  } catch (err) {
+    console.error("Get session error:", err);
+    res.status(500).json({ message: "Failed to load session" });
+  }
+});
+
+// ✅ Edit a session that has not closed yet
+app.put("/api/schedule/sessions/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    if (['closed', 'cancelled'].includes(session.status)) {
+      return res.status(409).json({ message: `Session is ${session.status} and can no longer be edited` });
+    }
+
+    const { errors, value } = parseSessionInput(req.body, session.toObject());
+    if (errors.length) {
+      return res.status(400).json({ message: "Invalid session", errors });
+    }
+
+    const clashes = await findCandidateClashes(value, session._id);
+    if (clashes.length) {
+      return res.status(409).json({ message: "Some candidates are already in an overlapping session", clashes });
+    }
+
+    session.set(value);
+    // Moving the window puts the session back under the scheduler
+    session.status = 'scheduled';
+    await session.save();
+    await syncSessionStatuses();
+
+    res.json({ message: "Session updated", session: await ExamSession.findById(session._id) });
+  } catch (err) {
+    console.error("Update session error:", err);
+    res.status(500).json({ message: "Failed to update session" });
+  }
+});
+
+// ✅ Open a session now, ahead of its start time
+app.post("/api/schedule/sessions/:id/open", requireRole("invigilator"), async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    const now = new Date();
+    if (session.status === 'cancelled' || session.endsAt <= now) {
+      return res.status(409).json({ message: "Session has ended or was cancelled" });
+    }
+
+    if (session.startsAt > now) session.startsAt = now;
+    session.status = 'open';
+    await session.save();
+
+    res.json({ message: `Session ${session.name} is now OPEN`, session });
+  } catch (err) {
+    console.error("Open session error:", err);
+    res.status(500).json({ message: "Failed to open session" });
+  }
+});
+
+// ✅ Close a session early. Candidates still writing get the grace period, then are auto-submitted.
+app.post("/api/schedule/sessions/:id/close", requireRole("invigilator"), async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    session.status = 'closed';
+    const modifiedCount = await endSessionNow(session);
+
+    res.json({ message: `Session ${session.name} is now CLOSED`, session, attemptsClosing: modifiedCount });
+  } catch (err) {
+    console.error("Close session error:", err);
+    res.status(500).json({ message: "Failed to close session" });
+  }
+});
 
+// ✅ Delete a session nobody has sat yet; otherwise it is cancelled and kept for the record
+app.delete("/api/schedule/sessions/:id", requireRole("invigilator"), async (req, res) => {
   try {
-    const session = await SessionControl.findOne();
-    const student = await ScheduledStudent.findOne({ matric });
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
 
-    if (!session || !session.sessionActive) {
-      return res.status(403).json({ message: "Exam session is not active" });
+    if (await Attempt.exists({ sessionId: session._id })) {
+      session.status = 'cancelled';
+      await endSessionNow(session);
+      return res.json({ message: "Session has attempts, so it was cancelled instead of deleted", session });
     }
 
+    await session.deleteOne();
+    res.json({ message: "Session deleted" });
+  } catch (err) {
+    console.error("Delete session error:", err);
+    res.status(500).json({ message: "Failed to delete session" });
+  }
+});
+
+//  Check Session Status (GET) — the sessions open right now
+app.get("/api/schedule/session/status", async (req, res) => {
+  try {
+    const sessions = await ExamSession.find(sessionIsOpenFilter())
+      .select("name courseCodes venue startsAt endsAt")
+      .sort({ startsAt: 1 });
+    res.json({ active: sessions.length > 0, sessions });
+  } catch (err) {
+    console.error("Session Status Error:", err);
+    res.status(500).json({ message: "Could not fetch session status" });
+  }
+});
+
+//  Check if Student is Allowed to Take Exam (POST)
+app.post("/api/schedule/check", async (req, res) => {
+  const matric = String(req.body.matric || "").trim().toUpperCase();
+
+  try {
+    const entries = await ScheduledStudent.find({ matric });
+    const { courseCode } = req.body;
+    const student = courseCode
+      ? entries.find(e => !e.courseCode || e.courseCode.toUpperCase() === String(courseCode).trim().toUpperCase())
+      : entries[0];
     if (!student) {
-      return res.status(403).json({ message: "You are not scheduled for this exam" });
+      return res.status(403).json({ message: courseCode ? `You are not scheduled for ${courseCode}` : "You are not scheduled for this exam" });
+    }
+
+    const courseCodes = entries.some(e => !e.courseCode) ? null : entries.map(e => e.courseCode);
+    const session = await findOpenSession(matric, courseCode || courseCodes);
+    if (!session) {
+      return res.status(403).json({ message: "You have no exam session open right now" });
     }
 
-    res.json({ message: "You are cleared to proceed", student });
+    res.json({
+      message: "You are cleared to proceed",
+      student,
+      courses: entries.map(e => ({
+        courseCode: e.courseCode,
+        sitting: e.sitting,
+        venue: e.venue,
+        seat: e.seat,
+        batch: e.batch,
+        batchStartsAt: e.batchStartsAt
+      })),
+      session: {
+        id: session._id,
+        name: session.name,
+        courseCodes: session.courseCodes,
+        venue: session.venue,
+        startsAt: session.startsAt,
+        endsAt: session.endsAt,
+      }
+    });
   } catch (err) {
     console.error("Schedule Check Error:", err);
     res.status(500).json({ message: "Failed to verify student" });
@@ -447,9 +1483,14 @@ app.post("/api/schedule/check", async (req, res) => {
 });
 
 // Student Dashboard
-app.get("/api/students/dashboard", async (req, res) => {
+app.get("/api/students/dashboard", requireRole("invigilator"), async (req, res) => {
   try {
     const students = await Student.find().select("-password");
+    const sessions = await AuthSession.distinct("identifier", {
+      userType: "student",
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
 
     const formatted = students.map((s) => {
       let passportUrl = null;
@@ -472,7 +1513,7 @@ app.get("/api/students/dashboard", async (req, res) => {
 
     res.json({
       students: formatted,
-      sessions: Array.from(studentSessions),
+      sessions,
     });
   } catch (error) {
     console.error("Dashboard Error:", error);
@@ -482,7 +1523,7 @@ app.get("/api/students/dashboard", async (req, res) => {
 
 // Download Students List 
 
-app.get("/api/students/download", async (req, res) => {
+app.get("/api/students/download", requireRole("invigilator"), async (req, res) => {
   try {
     const students = await Student.find().lean();
 
@@ -511,26 +1552,61 @@ app.get("/api/students/download", async (req, res) => {
   }
 });
   // Create Exam
-  app.post("/api/exams", async (req, res) => {
-    const { course, courseCode, department, level, duration, numQuestions } = req.body;
+  app.post("/api/exams", requireRole("examiner"), async (req, res) => {
+    const { course, courseCode, department, level, duration, numQuestions, marking } = req.body;
 
     if (!course || !courseCode || !department || !level || !duration || !numQuestions) {
       return res.status(400).json({ message: "All fields are required." });
     }
 
+    const markingError = marking && validateMarking(marking);
+    if (markingError) {
+      return res.status(400).json({ message: markingError });
+    }
+
     const existing = await Exam.findOne({ courseCode });
     if (existing) {
       return res.status(409).json({ message: "Exam already exists for this course code." });
     }
 
-    const exam = new Exam({ course, courseCode, department, level, duration, numQuestions });
+    const exam = new Exam({ course, courseCode, department, level, duration, numQuestions, marking });
     await exam.save();
 
     res.json({ message: "Exam created", exam });
   });
 
+  // Update an exam's marking scheme
+  app.put("/api/exams/:courseCode/marking", requireRole("examiner"), async (req, res) => {
+    const marking = req.body;
+
+    const markingError = validateMarking(marking);
+    if (markingError) {
+      return res.status(400).json({ message: markingError });
+    }
+
+    try {
+      const exam = await Exam.findOneAndUpdate(
+        { courseCode: matchCourseCode(req.params.courseCode) },
+        {
+          marking: {
+            marksPerQuestion: marking.marksPerQuestion ?? 1,
+            negativeMarks: marking.negativeMarks ?? 0,
+            maxScore: marking.maxScore ?? null
+          }
+        },
+        { new: true }
+      );
+      if (!exam) return res.status(404).json({ message: "Exam not found" });
+
+      res.json({ message: "Marking scheme updated", marking: exam.marking });
+    } catch (err) {
+      console.error("Marking update error:", err);
+      res.status(500).json({ message: "Failed to update marking scheme" });
+    }
+  });
+
   // Save Questions
-  app.post("/api/exams/:courseCode/questions", async (req, res) => {
+  app.post("/api/exams/:courseCode/questions", requireRole("examiner"), async (req, res) => {
     const { courseCode } = req.params;
     const { questions } = req.body;
 
@@ -540,12 +1616,17 @@ app.get("/api/students/download", async (req, res) => {
 
     const courseTitle = questions[0]?.course || "Untitled Course";
 
+    const errors = questions
+      .map((q, index) => ({ index, error: validateQuestion(q) }))
+      .filter(e => e.error);
+    if (errors.length) {
+      return res.status(400).json({ message: "Some questions are invalid.", errors });
+    }
+
     const formatted = questions.map(q => ({
       courseCode,
       course: q.course || courseTitle,
-      questionText: q.questionText,
-      options: q.options,
-      correctAnswer: q.correctAnswer
+      ...normalizeQuestion(q)
     }));
 
     await Question.insertMany(formatted);
@@ -563,363 +1644,3301 @@ app.get("/api/students/download", async (req, res) => {
     res.json({ message: "Questions saved successfully" });
   });
 
-// Filtered Exam List
-app.get("/api/exams", async (req, res) => {
-  const { department, level } = req.query;
+// ✅ QUESTION IMPORT (Excel / CSV / Aiken / GIFT)
 
-  try {
-    let filter = {};
+// Find a cell by any of the accepted header spellings, ignoring case and spaces
+function pickColumn(row, names) {
+  const wanted = names.map(n => n.toLowerCase().replace(/[\s_]/g, ""));
+  const key = Object.keys(row).find(k => wanted.includes(k.toLowerCase().replace(/[\s_]/g, "")));
+  return key === undefined ? "" : String(row[key]).trim();
+}
 
-    if (department === "public" || level === "public") {
-      filter = { department: "public", level: "public" }; // Explicitly fetch public exams
-    } else {
-      if (department) filter.department = department;
-      if (level) filter.level = level;
-    }
+// Sheet layout: Question | A | B | C | D | Answer [| Marks]
+// Answer is a letter, the option's text, or comma-separated letters for multi-select
+function parseQuestionSheet(buffer) {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: "" });
+
+  return rows.map((row, i) => {
+    const options = {};
+    OPTION_KEYS.forEach(key => {
+      const value = pickColumn(row, [key, `option ${key}`, `option${key}`]);
+      if (value) options[key] = value;
+    });
 
-    const exams = await Exam.find(filter);
-    res.json(exams);
+    const rawAnswer = pickColumn(row, ["answer", "correct answer", "correctAnswer"]);
+    const letters = rawAnswer.toLowerCase().split(/\s*,\s*/).filter(Boolean);
+    const marks = pickColumn(row, ["marks", "mark"]);
 
-  } catch (err) {
-    res.status(500).json({ message: "Unable to fetch exam list." });
-  }
-});
-// Get Course List for Frontend
-app.get("/api/questions/courses", async (req, res) => {
-  try {
-    // Retrieve courses including department and level
-    const exams = await Exam.find({}, "course courseCode department level");
-    
-    const courses = exams.map((exam) => ({
-      title: exam.course,
-      code: exam.courseCode,
-      department: exam.department,
-      level: exam.level
-    }));
+    const question = {
+      questionText: pickColumn(row, ["question", "question text", "questionText"]),
+      options,
+      ...(marks && { marks })
+    };
 
-    res.json({ courses });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch courses." });
-  }
-});
+    if (letters.length > 1 && letters.every(l => OPTION_KEYS.includes(l))) {
+      question.type = "multi";
+      question.correctAnswers = letters;
+    } else {
+      // Accept the option text as well as the letter
+      const byText = OPTION_KEYS.find(key => options[key] && options[key].toLowerCase() === rawAnswer.toLowerCase());
+      question.type = "single";
+      question.correctAnswer = OPTION_KEYS.includes(rawAnswer.toLowerCase()) ? rawAnswer.toLowerCase() : (byText || rawAnswer);
+    }
 
-// ✅ Delete Exam by courseCode
-app.delete("/api/exams/:courseCode", async (req, res) => {
-  try {
-    const { courseCode } = req.params;
+    return { row: i + 2, question }; // +2: header row and 1-based numbering
+  });
+}
 
-    const exam = await Exam.findOneAndDelete({ courseCode });
-    if (!exam) {
-      return res.status(404).json({ message: "Exam not found." });
+// Aiken: question line, "A. option" lines, then "ANSWER: X"
+function parseAiken(text) {
+  const entries = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const option = line.match(/^([A-Za-z])[.)]\s+(.*)$/);
+    const answer = line.match(/^ANSWER:\s*([A-Za-z])\s*$/i);
+
+    if (!current) {
+      current = { row: i + 1, question: { type: "single", questionText: line, options: {} } };
+    } else if (answer) {
+      current.question.correctAnswer = answer[1].toLowerCase();
+      entries.push(current);
+      current = null;
+    } else if (option) {
+      const key = option[1].toLowerCase();
+      if (!OPTION_KEYS.includes(key)) current.error = `Option ${option[1]} is not supported (A–D only).`;
+      else current.question.options[key] = option[2].trim();
+    } else if (!Object.keys(current.question.options).length) {
+      current.question.questionText += " " + line; // question text spanning lines
+    } else {
+      current.error = `Unexpected line: "${line}"`;
     }
+  });
 
-    // Optionally delete its questions too:
-    await Question.deleteMany({ courseCode });
+  if (current) entries.push({ ...current, error: current.error || "Missing ANSWER line." });
+  return entries;
+}
 
-    res.json({ message: "Exam deleted successfully." });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error." });
+const unescapeGift = (value) => value.replace(/\\([~=#{}:])/g, "$1").trim();
+
+// Parse the body of a GIFT answer block, i.e. the text between { and }
+function parseGiftAnswers(body, questionText) {
+  const trimmed = body.trim();
+
+  if (/^(T|TRUE|F|FALSE)$/i.test(trimmed)) {
+    return { type: "true-false", questionText, correctAnswer: /^T/i.test(trimmed) ? "true" : "false" };
   }
-});
 
-  // Load Questions for a Course
-  
-app.get("/api/exams/:courseCode/questions", async (req, res) => {
-  const rawCode = req.params.courseCode;
-  try {
-    const courseCode = decodeURIComponent(rawCode).trim().toLowerCase();
+  if (trimmed.startsWith("#")) {
+    const [value, tolerance] = trimmed.slice(1).split(":");
+    return { type: "numeric", questionText, numericAnswer: value.trim(), tolerance: tolerance ? tolerance.trim() : 0 };
+  }
 
-    const questions = await Question.find({
-      courseCode: { $regex: new RegExp(`^${courseCode}$`, "i") } // case-insensitive
-    });
+  // Split on unescaped = and ~, keeping the marker with each answer
+  const answers = trimmed.split(/(?<!\\)(?=[=~])/).map(a => a.trim()).filter(Boolean).map(a => {
+    const weight = a.match(/^~%(-?\d+(?:\.\d+)?)%/);
+    return {
+      correct: a.startsWith("=") || (weight && Number(weight[1]) > 0),
+      text: unescapeGift(a.replace(/^[=~](%-?\d+(?:\.\d+)?%)?/, "").replace(/#.*$/, "")) // drop feedback
+    };
+  });
 
-    res.json({ courseCode, questions });
-  } catch (err) {
-    console.error("Error fetching questions:", err);
-    res.status(500).json({ message: "Failed to load questions." });
+  if (!answers.some(a => !a.correct)) {
+    return { type: "text", questionText, acceptedAnswers: answers.map(a => a.text) };
   }
-});
-// Load exam info  and duration
 
-app.get("/api/exams/:courseCode", async (req, res) => {
-  const rawCode = req.params.courseCode;
-  try {
-    const courseCode = rawCode.trim().toLowerCase();
-    const exam = await Exam.findOne({ courseCode: { $regex: new RegExp(`^${courseCode}$`, 'i') } });
-    if (!exam) return res.status(404).json({ message: "Exam not found" });
-    res.json({ exam });
-  } catch (err) {
-    res.status(500).json({ message: "Failed to fetch exam settings" });
+  if (answers.length > OPTION_KEYS.length) {
+    throw new Error(`Only ${OPTION_KEYS.length} options are supported.`);
   }
-});
-// ✅ Process submission queue
-async function processNextSubmission() {
-  if (submissionQueue.length === 0 || activeSubmissions >= MAX_CONCURRENT_SUBMISSIONS) return;
 
-  const { req, res } = submissionQueue.shift();
-  activeSubmissions++;
+  const options = {};
+  const correct = [];
+  answers.forEach((a, i) => {
+    options[OPTION_KEYS[i]] = a.text;
+    if (a.correct) correct.push(OPTION_KEYS[i]);
+  });
 
-  try {
-    const { matric, name, department, courseCode, answers } = req.body;
+  return correct.length > 1
+    ? { type: "multi", questionText, options, correctAnswers: correct }
+    : { type: "single", questionText, options, correctAnswer: correct[0] };
+}
 
-    if (!matric || !courseCode || typeof answers !== "object") {
-      return res.status(400).json({ message: "Missing or invalid submission data." });
+// GIFT: one question per blank-line separated block, e.g.
+// ::Q1:: Capital of Nigeria? {=Abuja ~Lagos ~Kano ~Ibadan}
+function parseGift(text) {
+  const entries = [];
+  let block = [];
+  let startLine = 1;
+
+  const flush = () => {
+    const source = block.join("\n").trim();
+    block = [];
+    if (!source) return;
+
+    const match = source.match(/^(?:::(.*?)::)?([\s\S]*?)(?<!\\)\{([\s\S]*?)(?<!\\)\}\s*([\s\S]*)$/);
+    if (!match) {
+      entries.push({ row: startLine, question: { questionText: source }, error: "No answer block {…} found." });
+      return;
     }
 
-    // ✅ Check if already submitted
-    const existing = await Submission.findOne({ matric, courseCode });
-    if (existing) {
-      return res.status(409).json({ message: "Submission already exists." });
+    // Text after the block (e.g. "The sky is {T} blue") is appended to the question
+    const questionText = unescapeGift(`${match[2]} ${match[4]}`.replace(/\s+/g, " ").replace(/^\[\w+\]/, ""));
+    try {
+      entries.push({ row: startLine, question: parseGiftAnswers(match[3], questionText) });
+    } catch (err) {
+      entries.push({ row: startLine, question: { questionText }, error: err.message });
     }
+  };
 
-    // ✅ Save raw submission
-    await Submission.create({ matric, name, department, courseCode, answers, submittedAt: new Date() });
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim().startsWith("//") || line.trim().startsWith("$CATEGORY")) return;
+    if (!line.trim()) {
+      flush();
+      return;
+    }
+    if (!block.length) startLine = i + 1;
+    block.push(line);
+  });
+  flush();
 
-    // ✅ Get questions and score
-    const questions = await Question.find({ courseCode });
-    let score = 0;
-    questions.forEach(q => {
-      if (answers[q._id] && answers[q._id] === q.correctAnswer) {
-        score++;
-      }
-    });
+  return entries;
+}
 
-    // ✅ Generate random CA score between 20 and 35
-    const caScore = Math.floor(Math.random() * (35 - 20 + 1)) + 20;
-    const totalScore = score + caScore;
+// Work out the format from ?format= or the file extension
+function detectImportFormat(file, format) {
+  if (format) return String(format).toLowerCase();
 
-    // ✅ Save to Result model
-    const resultExists = await Result.findOne({ studentMatric: matric, courseCode });
-    if (!resultExists) {
-      await Result.create({
-        studentMatric: matric,
-        courseCode,
-        score,
-        total: questions.length,
-        caScore,
-        totalScore
-      });
+  const ext = path.extname(file.originalname).toLowerCase();
+  if ([".xlsx", ".xls", ".csv"].includes(ext)) return "sheet";
+  if (ext === ".gift") return "gift";
+  if (ext === ".txt") return /(?<!\\)\{[\s\S]*?(?<!\\)\}/.test(file.buffer.toString("utf8")) ? "gift" : "aiken";
+  return null;
+}
+
+// Validate parsed entries and flag duplicates within the file and against the bank
+function buildImportReport(entries, existingQuestions) {
+  const seen = new Map(existingQuestions.map(q => [normalizeText(q.questionText, false), "the question bank"]));
+
+  return entries.map(({ row, question, error }) => {
+    const errors = [];
+    if (error) errors.push(error);
+
+    const validationError = validateQuestion(question);
+    if (validationError) errors.push(validationError);
+
+    // Options must be filled in order, with no gaps (A, B, _, D)
+    if (CHOICE_TYPES.includes(question.type || "single")) {
+      const keys = presentOptionKeys(question.options);
+      if (keys.length && keys.length !== OPTION_KEYS.indexOf(keys[keys.length - 1]) + 1) {
+        errors.push("Missing option before the last filled option.");
+      }
     }
 
-    res.status(200).json({ message: "Exam submitted successfully" });
+    let status = errors.length ? "error" : "ok";
+    if (question.questionText) {
+      const key = normalizeText(question.questionText, false);
+      if (seen.has(key)) {
+        errors.push(`Duplicate of a question in ${seen.get(key)}.`);
+        if (status === "ok") status = "duplicate";
+      } else {
+        seen.set(key, `row ${row}`);
+      }
+    }
 
-  } catch (err) {
-    console.error("Submission error:", err);
-    res.status(500).json({ message: "Submission failed" });
-  } finally {
-    activeSubmissions--;
-    processNextSubmission(); // process next in queue
-  }
+    return { row, status, questionText: question.questionText || "", type: question.type || "single", errors, question };
+  });
 }
 
-// ✅ Submit exam route
-app.post("/api/exams/:courseCode/submit", (req, res) => {
-  submissionQueue.push({ req, res });
-  processNextSubmission();
-});
+// ✅ Import questions from a file. Without ?confirm=true this is a dry run that only
+// returns the row-by-row report; with it, rows marked "ok" are saved.
+app.post("/api/exams/:courseCode/questions/import", requireRole("examiner"), memoryUpload.single("file"), async (req, res) => {
+  const { courseCode } = req.params;
 
-// ✅ Save access for a department + level (allow or block)
-app.post("/api/admin/access-control", async (req, res) => {
-  const { department, level, status } = req.body;
+  if (!req.file) {
+    return res.status(400).json({ message: "Please upload a file." });
+  }
 
-  if (!department || !level || !status) {
-    return res.status(400).json({ message: "All fields are required." });
+  const format = detectImportFormat(req.file, req.query.format);
+  const parsers = {
+    sheet: () => parseQuestionSheet(req.file.buffer),
+    aiken: () => parseAiken(req.file.buffer.toString("utf8")),
+    gift: () => parseGift(req.file.buffer.toString("utf8")),
+  };
+  if (!parsers[format]) {
+    return res.status(400).json({ message: "Unsupported file. Upload .xlsx, .xls, .csv, Aiken .txt or GIFT." });
   }
 
+  let entries;
   try {
-    const existing = await AllowedGroup.findOne({ department, level });
-
-    if (existing) {
-      existing.status = status;
-      await existing.save();
-    } else {
-      await AllowedGroup.create({ department, level, status });
-    }
-
-    res.json({ message: `Access for ${department} ${level} set to ${status}.` });
+    entries = parsers[format]();
+  } catch (err) {
+    return res.status(400).json({ message: "Could not read the uploaded file.", error: err.message });
+  }
+
+  try {
+    const existing = await Question.find({ courseCode: matchCourseCode(courseCode) }, "questionText");
+    const report = buildImportReport(entries, existing);
+
+    const summary = {
+      format,
+      total: report.length,
+      ok: report.filter(r => r.status === "ok").length,
+      errors: report.filter(r => r.status === "error").length,
+      duplicates: report.filter(r => r.status === "duplicate").length,
+    };
+
+    const rows = report.map(({ question, ...row }) => row);
+
+    if (req.query.confirm !== "true") {
+      return res.json({ message: "Dry run — nothing was saved. Re-send with ?confirm=true to import.", summary, rows });
+    }
+
+    const exam = await Exam.findOne({ courseCode: matchCourseCode(courseCode) });
+    const course = req.body.course || exam?.course || "Untitled Course";
+    const toSave = report.filter(r => r.status === "ok").map(r => ({
+      courseCode: exam?.courseCode || courseCode,
+      course,
+      ...normalizeQuestion(r.question)
+    }));
+
+    if (toSave.length) await Question.insertMany(toSave);
+
+    if (!exam && toSave.length) {
+      await Exam.create({ course, courseCode, numQuestions: toSave.length });
+    }
+
+    res.json({ message: `${toSave.length} question(s) imported`, summary, rows });
+  } catch (err) {
+    console.error("Question import error:", err);
+    res.status(500).json({ message: "Failed to import questions" });
+  }
+});
+
+// ✅ QUESTION EXPORT / COPY
+
+const escapeGift = (value) => String(value).replace(/([~=#{}:\\])/g, "\\$1");
+
+const formatAnswerCell = (q) => {
+  switch (q.type || "single") {
+    case "single": return String(q.correctAnswer || "").toUpperCase();
+    case "multi": return (q.correctAnswers || []).map(a => a.toUpperCase()).join(",");
+    case "true-false": return String(q.correctAnswer).toUpperCase();
+    case "numeric": return q.numericAnswer;
+    case "text": return (q.acceptedAnswers || []).join(" | ");
+    default: return "";
+  }
+};
+
+// Same columns the importer reads, plus the fields only some types use
+function questionsToWorkbook(questions, includeAnswers) {
+  const rows = questions.map(q => ({
+    Question: q.questionText,
+    A: q.options?.a || "",
+    B: q.options?.b || "",
+    C: q.options?.c || "",
+    D: q.options?.d || "",
+    ...(includeAnswers && { Answer: formatAnswerCell(q), Tolerance: q.type === "numeric" ? q.tolerance || 0 : "" }),
+    Type: q.type || "single",
+    Marks: q.marks || "",
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), "Questions");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+function questionToGift(q, index, includeAnswers) {
+  const title = `::Q${index + 1}::`;
+  const text = escapeGift(q.questionText);
+  const type = q.type || "single";
+
+  if (!includeAnswers) {
+    // GIFT has no answer-less form for these types, so they are kept as a comment
+    // for moderators and skipped on re-import
+    if (!CHOICE_TYPES.includes(type)) {
+      return `// ${title} [${type}, answer withheld] ${q.questionText.replace(/\s*\n\s*/g, " ")}`;
+    }
+    const options = presentOptionKeys(q.options).map(key => `~${escapeGift(q.options[key])}`).join(" ");
+    return `${title} ${text} {${options}}`;
+  }
+
+  switch (type) {
+    case "single":
+      return `${title} ${text} {${presentOptionKeys(q.options)
+        .map(key => `${key === q.correctAnswer ? "=" : "~"}${escapeGift(q.options[key])}`).join(" ")}}`;
+    case "multi": {
+      const correct = q.correctAnswers || [];
+      const share = Math.floor((100 / correct.length) * 100000) / 100000;
+      return `${title} ${text} {${presentOptionKeys(q.options)
+        .map(key => `~%${correct.includes(key) ? share : -100}%${escapeGift(q.options[key])}`).join(" ")}}`;
+    }
+    case "true-false":
+      return `${title} ${text} {${q.correctAnswer === "true" ? "TRUE" : "FALSE"}}`;
+    case "numeric":
+      return `${title} ${text} {#${q.numericAnswer}:${q.tolerance || 0}}`;
+    case "text":
+      return `${title} ${text} {${(q.acceptedAnswers || []).map(a => `=${escapeGift(a)}`).join(" ")}}`;
+    default:
+      return "";
+  }
+}
+
+// Aiken only has single-answer multiple choice; other types are left out
+function questionToAiken(q, includeAnswers) {
+  const lines = [q.questionText.replace(/\s*\n\s*/g, " ")];
+  presentOptionKeys(q.options).forEach(key => lines.push(`${key.toUpperCase()}. ${q.options[key]}`));
+  if (includeAnswers) lines.push(`ANSWER: ${String(q.correctAnswer).toUpperCase()}`);
+  return lines.join("\n");
+}
+
+// ✅ Export a course's questions: ?format=xlsx|gift|aiken, &includeAnswers=false for moderation copies
+app.get("/api/exams/:courseCode/questions/export", requireRole("examiner"), async (req, res) => {
+  const courseCode = decodeURIComponent(req.params.courseCode).trim();
+  const format = (req.query.format || "xlsx").toLowerCase();
+  const includeAnswers = req.query.includeAnswers !== "false";
+
+  if (!["xlsx", "gift", "aiken"].includes(format)) {
+    return res.status(400).json({ message: "Format must be xlsx, gift or aiken." });
+  }
+
+  try {
+    const questions = await Question.find({ courseCode: matchCourseCode(courseCode) }).sort({ _id: 1 });
+    if (!questions.length) {
+      return res.status(404).json({ message: "No questions found for this course." });
+    }
+
+    const baseName = `${courseCode.replace(/[^\w-]+/g, "_")}-questions${includeAnswers ? "" : "-no-key"}`;
+
+    if (format === "xlsx") {
+      res.attachment(`${baseName}.xlsx`);
+      return res.send(questionsToWorkbook(questions, includeAnswers));
+    }
+
+    let body;
+    if (format === "gift") {
+      body = questions.map((q, i) => questionToGift(q, i, includeAnswers)).join("\n\n");
+    } else {
+      const aikenQuestions = questions.filter(q => (q.type || "single") === "single");
+      res.set("X-Skipped-Questions", String(questions.length - aikenQuestions.length));
+      body = aikenQuestions.map(q => questionToAiken(q, includeAnswers)).join("\n\n");
+    }
+
+    res.type("text/plain");
+    res.attachment(`${baseName}.txt`);
+    res.send(body + "\n");
+  } catch (err) {
+    console.error("Question export error:", err);
+    res.status(500).json({ message: "Failed to export questions." });
+  }
+});
+
+// ✅ Copy questions into another course. Send { targetCourseCode, questionIds? } —
+// without questionIds every question is copied. Questions already in the target are skipped.
+app.post("/api/exams/:courseCode/questions/copy", requireRole("examiner"), async (req, res) => {
+  const sourceCode = decodeURIComponent(req.params.courseCode).trim();
+  const { targetCourseCode, questionIds, targetCourse } = req.body;
+
+  if (!targetCourseCode) {
+    return res.status(400).json({ message: "targetCourseCode is required." });
+  }
+  if (questionIds !== undefined && (!Array.isArray(questionIds) || !questionIds.length)) {
+    return res.status(400).json({ message: "questionIds must be a non-empty array when provided." });
+  }
+  const badIds = (questionIds || []).filter(id => !mongoose.isValidObjectId(id));
+  if (badIds.length) {
+    return res.status(400).json({ message: "Some questionIds are not valid ids.", invalid: badIds });
+  }
+
+  try {
+    const filter = { courseCode: matchCourseCode(sourceCode) };
+    if (questionIds) filter._id = { $in: questionIds };
+
+    const source = await Question.find(filter).lean();
+    if (!source.length) {
+      return res.status(404).json({ message: "No matching questions found in the source course." });
+    }
+
+    const targetExam = await Exam.findOne({ courseCode: matchCourseCode(targetCourseCode) });
+    const courseCode = targetExam?.courseCode || targetCourseCode.trim();
+    const course = targetCourse || targetExam?.course || "Untitled Course";
+
+    const existing = await Question.find({ courseCode: matchCourseCode(courseCode) }, "questionText");
+    const existingTexts = new Set(existing.map(q => normalizeText(q.questionText, false)));
+
+    const copies = source
+      .filter(q => !existingTexts.has(normalizeText(q.questionText, false)))
+      .map(({ _id, __v, ...q }) => ({ ...q, courseCode, course }));
+
+    if (copies.length) await Question.insertMany(copies);
+
+    if (!targetExam && copies.length) {
+      await Exam.create({ course, courseCode, numQuestions: copies.length });
+    }
+
+    res.json({
+      message: `${copies.length} question(s) copied to ${courseCode}`,
+      copied: copies.length,
+      skippedDuplicates: source.length - copies.length
+    });
+  } catch (err) {
+    console.error("Question copy error:", err);
+    res.status(500).json({ message: "Failed to copy questions." });
+  }
+});
+
+// Filtered Exam List
+app.get("/api/exams", async (req, res) => {
+  const { department, level } = req.query;
+
+  try {
+    let filter = {};
+
+    if (department === "public" || level === "public") {
+      filter = { department: "public", level: "public" }; // Explicitly fetch public exams
+    } else {
+      if (department) filter.department = department;
+      if (level) filter.level = level;
+    }
+
+    const exams = await Exam.find(filter);
+    res.json(exams);
+
+  } catch (err) {
+    res.status(500).json({ message: "Unable to fetch exam list." });
+  }
+});
+// Get Course List for Frontend
+app.get("/api/questions/courses", async (req, res) => {
+  try {
+    // Retrieve courses including department and level
+    const exams = await Exam.find({}, "course courseCode department level");
+    
+    const courses = exams.map((exam) => ({
+      title: exam.course,
+      code: exam.courseCode,
+      department: exam.department,
+      level: exam.level
+    }));
+
+    res.json({ courses });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch courses." });
+  }
+});
+
+// ✅ Delete Exam by courseCode
+app.delete("/api/exams/:courseCode", requireRole("examiner"), async (req, res) => {
+  try {
+    const { courseCode } = req.params;
+
+    const exam = await Exam.findOneAndDelete({ courseCode });
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found." });
+    }
+
+    // Optionally delete its questions too:
+    await Question.deleteMany({ courseCode });
+    await ExamPaper.deleteMany({ courseCode });
+
+    res.json({ message: "Exam deleted successfully." });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error." });
+  }
+});
+
+// ✅ PAPER HELPERS
+
+const OPTION_KEYS = ["a", "b", "c", "d"];
+
+// ✅ QUESTION TYPES
+
+const CHOICE_TYPES = ['single', 'multi'];
+
+const presentOptionKeys = (options) => OPTION_KEYS.filter(key => options?.[key]);
+
+// Returns an error message for a question payload, or null when it is valid
+function validateQuestion(q) {
+  const type = q.type || 'single';
+
+  if (!QUESTION_TYPES.includes(type)) return `Unknown question type "${type}".`;
+  if (!q.questionText || !String(q.questionText).trim()) return "Question text is required.";
+  if (q.marks !== undefined && q.marks !== "" && !(Number(q.marks) > 0)) return "Marks must be greater than zero.";
+
+  switch (type) {
+    case 'single': {
+      const keys = presentOptionKeys(q.options);
+      if (keys.length < 2) return "At least two options are required.";
+      if (!keys.includes(String(q.correctAnswer).toLowerCase())) return "Correct answer must be one of the options.";
+      return null;
+    }
+    case 'multi': {
+      const keys = presentOptionKeys(q.options);
+      if (keys.length < 2) return "At least two options are required.";
+      if (!Array.isArray(q.correctAnswers) || !q.correctAnswers.length) return "At least one correct answer is required.";
+      if (q.correctAnswers.some(a => !keys.includes(String(a).toLowerCase()))) return "Every correct answer must be one of the options.";
+      return null;
+    }
+    case 'true-false':
+      if (!["true", "false"].includes(String(q.correctAnswer).toLowerCase())) return "Correct answer must be true or false.";
+      return null;
+    case 'numeric':
+      if (q.numericAnswer === undefined || q.numericAnswer === "" || !Number.isFinite(Number(q.numericAnswer))) return "A numeric answer is required.";
+      if (q.tolerance !== undefined && !(Number(q.tolerance) >= 0)) return "Tolerance must be zero or more.";
+      return null;
+    case 'text':
+      if (!Array.isArray(q.acceptedAnswers) || !q.acceptedAnswers.some(a => String(a).trim())) return "At least one accepted answer is required.";
+      return null;
+  }
+}
+
+// Pick the fields that apply to the question's type, in stored form
+function normalizeQuestion(q) {
+  const type = q.type || 'single';
+  const base = { type, questionText: String(q.questionText).trim() };
+  if (q.marks !== undefined && q.marks !== "") base.marks = Number(q.marks);
+
+  switch (type) {
+    case 'single':
+      return { ...base, options: q.options, correctAnswer: String(q.correctAnswer).toLowerCase() };
+    case 'multi':
+      return { ...base, options: q.options, correctAnswers: [...new Set(q.correctAnswers.map(a => String(a).toLowerCase()))] };
+    case 'true-false':
+      return { ...base, correctAnswer: String(q.correctAnswer).toLowerCase() };
+    case 'numeric':
+      return { ...base, numericAnswer: Number(q.numericAnswer), tolerance: Number(q.tolerance) || 0 };
+    case 'text':
+      return {
+        ...base,
+        acceptedAnswers: q.acceptedAnswers.map(a => String(a).trim()).filter(Boolean),
+        caseSensitive: !!q.caseSensitive
+      };
+  }
+}
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Credit earned for one answer, from 0 to 1. `paperQuestion` maps the letters the
+// candidate saw back to the bank's option keys; pass null when there is no paper.
+function scoreQuestion(question, paperQuestion, answer) {
+  if (!isAnswered(answer)) return 0;
+
+  const toKey = (letter) => paperQuestion ? toOriginalOptionKey(paperQuestion, letter) : String(letter).toLowerCase();
+
+  switch (question.type || 'single') {
+    case 'single':
+      return toKey(answer) === String(question.correctAnswer).toLowerCase() ? 1 : 0;
+    case 'multi': {
+      // Partial credit: each right pick earns a share, each wrong pick cancels one
+      const picked = new Set((Array.isArray(answer) ? answer : [answer]).map(toKey));
+      const correct = new Set(question.correctAnswers);
+      let right = 0;
+      let wrong = 0;
+      picked.forEach(key => (correct.has(key) ? right++ : wrong++));
+      return correct.size ? Math.max(0, (right - wrong) / correct.size) : 0;
+    }
+    case 'true-false':
+      return String(answer).toLowerCase() === question.correctAnswer ? 1 : 0;
+    case 'numeric': {
+      // Only real numbers or numeric text; Number(true), Number([]) etc. must not score
+      if (typeof answer !== "number" && typeof answer !== "string") return 0;
+      const value = Number(answer);
+      return Number.isFinite(value) && Math.abs(value - question.numericAnswer) <= (question.tolerance || 0) ? 1 : 0;
+    }
+    case 'text': {
+      const given = normalizeText(answer, question.caseSensitive);
+      return question.acceptedAnswers.some(a => normalizeText(a, question.caseSensitive) === given) ? 1 : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+// ✅ MARKING
+
+function validateMarking(marking) {
+  if (typeof marking !== "object" || marking === null) return "Marking scheme must be an object.";
+
+  const { marksPerQuestion, negativeMarks, maxScore } = marking;
+  if (marksPerQuestion !== undefined && !(Number(marksPerQuestion) > 0)) return "marksPerQuestion must be greater than zero.";
+  if (negativeMarks !== undefined && !(Number(negativeMarks) >= 0)) return "negativeMarks must be zero or more.";
+  if (maxScore !== undefined && maxScore !== null && !(Number(maxScore) > 0)) return "maxScore must be greater than zero.";
+  return null;
+}
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+// Apply the exam's marking scheme to per-question credits.
+// items: [{ question, credit (0..1), answered }]
+function applyMarkingScheme(marking, items) {
+  const marksPerQuestion = marking?.marksPerQuestion || 1;
+  const negativeMarks = marking?.negativeMarks || 0;
+
+  let rawScore = 0;
+  let rawTotal = 0;
+
+  items.forEach(({ question, credit, answered }) => {
+    const marks = question.marks || marksPerQuestion;
+    rawTotal += marks;
+
+    if (credit > 0) rawScore += credit * marks;
+    else if (answered) rawScore -= negativeMarks;
+  });
+
+  rawScore = Math.max(0, rawScore);
+
+  const maxScore = marking?.maxScore;
+  const score = maxScore && rawTotal ? (rawScore / rawTotal) * maxScore : rawScore;
+
+  return {
+    score: roundMarks(score),
+    total: maxScore || rawTotal,
+    rawScore: roundMarks(rawScore),
+    rawTotal
+  };
+}
+
+// Blank and whitespace-only answers count as unanswered (no credit, no penalty)
+const isAnswered = (answer) =>
+  answer !== undefined && answer !== null &&
+  !(typeof answer === "string" && !answer.trim()) &&
+  !(Array.isArray(answer) && !answer.length);
+
+// Score a set of answers against the candidate's own paper (falls back to the
+// whole bank for candidates who never loaded a paper)
+async function scoreAnswers(matric, courseCode, answers) {
+  const exam = await Exam.findOne({ courseCode: matchCourseCode(courseCode) });
+  const paper = await ExamPaper.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+  let items;
+
+  if (paper) {
+    const bank = await Question.find({ _id: { $in: paper.questions.map(q => q.questionId) } });
+    const byId = new Map(bank.map(q => [String(q._id), q]));
+
+    items = paper.questions
+      .filter(pq => byId.has(String(pq.questionId)))
+      .map(pq => {
+        const question = byId.get(String(pq.questionId));
+        const answer = answers[pq.questionId];
+        return { question, credit: scoreQuestion(question, pq, answer), answered: isAnswered(answer) };
+      });
+  } else {
+    const questions = await Question.find({ courseCode });
+    items = questions.map(question => {
+      const answer = answers[question._id];
+      return { question, credit: scoreQuestion(question, null, answer), answered: isAnswered(answer) };
+    });
+  }
+
+  return applyMarkingScheme(exam?.marking, items);
+}
+
+// Case-insensitive exact match on courseCode
+const matchCourseCode = (code) => ({
+  $regex: new RegExp(`^${String(code).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i")
+});
+
+// Deterministic PRNG (mulberry32) seeded from a string, so a candidate's
+// paper can be rebuilt identically from matric + course code.
+function seededRandom(seedText) {
+  let state = crypto.createHash("sha256").update(seedText).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Return the candidate's stored paper, drawing one from the bank on first request.
+// Exam.numQuestions caps how many questions are drawn.
+async function getOrCreatePaper(matric, courseCode) {
+  const existing = await ExamPaper.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+  if (existing) return existing;
+
+  const exam = await Exam.findOne({ courseCode: matchCourseCode(courseCode) });
+  const bank = await Question.find({ courseCode: matchCourseCode(courseCode) }).sort({ _id: 1 });
+  if (!bank.length) return null;
+
+  const canonicalCode = exam?.courseCode || bank[0].courseCode;
+  const seed = `${matric}:${canonicalCode.toUpperCase()}`;
+  const random = seededRandom(seed);
+  const count = exam?.numQuestions > 0 ? Math.min(exam.numQuestions, bank.length) : bank.length;
+
+  const questions = shuffle(bank, random).slice(0, count).map(q => ({
+    questionId: q._id,
+    optionOrder: CHOICE_TYPES.includes(q.type || 'single')
+      ? shuffle(OPTION_KEYS.filter(key => q.options?.[key]), random)
+      : [],
+  }));
+
+  try {
+    return await ExamPaper.create({ matric, courseCode: canonicalCode, seed, questions });
+  } catch (err) {
+    // Two tabs loading at once — the other request already saved the paper
+    if (err.code === 11000) return ExamPaper.findOne({ matric, courseCode: canonicalCode });
+    throw err;
+  }
+}
+
+// Translate a letter the candidate picked on their paper back to the bank's option key
+function toOriginalOptionKey(paperQuestion, displayedKey) {
+  const index = OPTION_KEYS.indexOf(String(displayedKey).toLowerCase());
+  return index === -1 ? undefined : paperQuestion.optionOrder[index];
+}
+
+// Candidate view of a question as it appears on their paper: options relabelled,
+// and only the fields needed to answer it. Never add the key or marking fields here.
+function toCandidateQuestion(question, paperQuestion) {
+  const options = {};
+  paperQuestion.optionOrder.forEach((originalKey, i) => {
+    options[OPTION_KEYS[i]] = question.options[originalKey];
+  });
+
+  const candidateQuestion = {
+    _id: question._id,
+    courseCode: question.courseCode,
+    course: question.course,
+    type: question.type || 'single',
+    questionText: question.questionText,
+  };
+  if (CHOICE_TYPES.includes(candidateQuestion.type)) candidateQuestion.options = options;
+
+  return candidateQuestion;
+}
+
+  // Load Questions for a Course (the candidate's own randomized paper; call /start first)
+
+app.get("/api/exams/:courseCode/questions", requireStudent, async (req, res) => {
+  const rawCode = req.params.courseCode;
+  try {
+    const courseCode = decodeURIComponent(rawCode).trim().toLowerCase();
+    const matric = req.student.matric;
+
+    if (!(await isScheduledFor(matric, courseCode))) {
+      return res.status(403).json({ message: "You are not scheduled for this course." });
+    }
+
+    if (!(await checkStudentAccess(req.student, [courseCode])).allowed) {
+      return res.status(403).json({ message: "You are currently restricted from this course." });
+    }
+
+    const session = await findOpenSession(matric, courseCode);
+    if (!session) {
+      return res.status(403).json({ message: "No open session for this course." });
+    }
+
+    // The paper is only served to a started attempt, so the clock is already running
+    const attempt = await Attempt.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+    if (!attempt) {
+      return res.status(400).json({ message: "You have not started this exam." });
+    }
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: "This exam has already been submitted." });
+    }
+    if (attempt.deadline && attempt.deadline <= new Date()) {
+      if (isPastGrace(attempt)) await autoSubmitAttempt(attempt);
+      return res.status(403).json({ message: "Time is up for this exam." });
+    }
+
+    const paper = await getOrCreatePaper(matric, courseCode);
+    if (!paper) {
+      return res.json({ courseCode, questions: [] });
+    }
+
+    const bank = await Question.find({ _id: { $in: paper.questions.map(q => q.questionId) } });
+    const byId = new Map(bank.map(q => [String(q._id), q]));
+
+    const questions = paper.questions
+      .filter(pq => byId.has(String(pq.questionId)))
+      .map(pq => toCandidateQuestion(byId.get(String(pq.questionId)), pq));
+
+    res.json({ courseCode, questions });
+  } catch (err) {
+    console.error("Error fetching questions:", err);
+    res.status(500).json({ message: "Failed to load questions." });
+  }
+});
+
+// Examiner view: the full question bank for a course, answer key included
+app.get("/api/exams/:courseCode/question-bank", requireRole("examiner"), async (req, res) => {
+  try {
+    const courseCode = decodeURIComponent(req.params.courseCode).trim();
+    const questions = await Question.find({ courseCode: matchCourseCode(courseCode) });
+
+    res.json({ courseCode, questions });
+  } catch (err) {
+    console.error("Error fetching question bank:", err);
+    res.status(500).json({ message: "Failed to load question bank." });
+  }
+});
+// Load exam info  and duration
+
+app.get("/api/exams/:courseCode", async (req, res) => {
+  const rawCode = req.params.courseCode;
+  try {
+    const courseCode = rawCode.trim().toLowerCase();
+    const exam = await Exam.findOne({ courseCode: { $regex: new RegExp(`^${courseCode}$`, 'i') } });
+    if (!exam) return res.status(404).json({ message: "Exam not found" });
+    res.json({ exam });
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch exam settings" });
+  }
+});
+// ✅ Save a submission, score it and write the Result
+async function recordSubmission({ matric, name, department, courseCode, answers }) {
+  // ✅ Save raw submission
+  await Submission.create({ matric, name, department, courseCode, answers, submittedAt: new Date() });
+
+  // ✅ Score with the exam's marking scheme
+  const { score, total, rawScore, rawTotal } = await scoreAnswers(matric, courseCode, answers);
+
+  // ✅ CA comes from the uploaded records; missing ones are flagged and count as 0
+  const ca = await CaScore.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+  const caScore = ca ? ca.score : 0;
+  const totalScore = roundMarks(score + caScore);
+
+  // ✅ Save to Result model
+  const resultExists = await Result.findOne({ studentMatric: matric, courseCode });
+  if (!resultExists) {
+    const result = new Result({
+      studentMatric: matric,
+      courseCode,
+      score,
+      total,
+      rawScore,
+      rawTotal,
+      caScore,
+      caMissing: !ca,
+      totalScore
+    });
+    await applyGrade(result, { department });
+    await result.save();
+  }
+}
+
+const isPastGrace = (attempt, now = new Date()) =>
+  !!attempt.deadline && now.getTime() > attempt.deadline.getTime() + EXAM_GRACE_SECONDS * 1000;
+
+// Put an attempt back in progress after its submission failed to record
+const reopenAttempt = (attempt) =>
+  Attempt.updateOne({ _id: attempt._id }, { status: 'in-progress', $unset: { submittedAt: "" } });
+
+// Close an attempt whose time ran out, submitting whatever the server holds for it.
+// Returns false if another request already closed it.
+async function autoSubmitAttempt(attempt) {
+  const claimed = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in-progress' },
+    { status: 'auto-submitted', submittedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  try {
+    const existing = await Submission.findOne({ matric: claimed.matric, courseCode: claimed.courseCode });
+    if (!existing) {
+      await recordSubmission({
+        matric: claimed.matric,
+        name: claimed.name,
+        department: claimed.department,
+        courseCode: claimed.courseCode,
+        answers: claimed.answers || {}
+      });
+    }
+  } catch (err) {
+    // Reopen the attempt so the next sweep retries instead of losing the answers
+    await reopenAttempt(claimed);
+    throw err;
+  }
+  return true;
+}
+
+// ✅ Sweeper: auto-submit attempts abandoned after their deadline + grace period
+async function sweepExpiredAttempts() {
+  try {
+    const cutoff = new Date(Date.now() - EXAM_GRACE_SECONDS * 1000);
+    const expired = await Attempt.find({ status: 'in-progress', deadline: { $ne: null, $lt: cutoff } });
+
+    for (const attempt of expired) {
+      try {
+        if (await autoSubmitAttempt(attempt)) {
+          console.log(`⏰ Auto-submitted ${attempt.matric} for ${attempt.courseCode}`);
+        }
+      } catch (err) {
+        console.error(`Auto-submit failed for ${attempt.matric} ${attempt.courseCode}, will retry:`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Attempt sweep error:", err);
+  }
+}
+
+// ✅ Start exam — creates the candidate's attempt and fixes the deadline.
+// Calling it again returns the same attempt, so a reload doesn't reset the clock.
+app.post("/api/exams/:courseCode/start", requireStudent, async (req, res) => {
+  try {
+    const courseCode = decodeURIComponent(req.params.courseCode).trim();
+    const { matric, name, department } = req.student;
+
+    const existing = await Attempt.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+    if (existing) {
+      if (existing.status !== 'in-progress') {
+        return res.status(409).json({ message: "You have already submitted this exam." });
+      }
+      return res.json({ message: "Exam already started", attempt: existing, serverTime: new Date() });
+    }
+
+    const exam = await Exam.findOne({ courseCode: matchCourseCode(courseCode) });
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+
+    if (!(await isScheduledFor(matric, exam.courseCode))) {
+      return res.status(403).json({ message: "You are not scheduled for this course." });
+    }
+
+    if (!(await checkStudentAccess(req.student, [exam.courseCode])).allowed) {
+      return res.status(403).json({ message: "You are currently restricted from this course." });
+    }
+
+    const session = await findOpenSession(matric, exam.courseCode);
+    if (!session) {
+      return res.status(403).json({ message: "No open session for this course." });
+    }
+
+    // The clock stops at the exam duration or the end of the session, whichever comes first
+    const startedAt = new Date();
+    let deadline = exam.duration ? new Date(startedAt.getTime() + exam.duration * 60 * 1000) : null;
+    if (!deadline || deadline > session.endsAt) deadline = session.endsAt;
+
+    let attempt;
+    try {
+      attempt = await Attempt.create({ matric, name, department, courseCode: exam.courseCode, sessionId: session._id, startedAt, deadline });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      attempt = await Attempt.findOne({ matric, courseCode: exam.courseCode });
+    }
+
+    await getOrCreatePaper(matric, exam.courseCode);
+
+    res.status(201).json({ message: "Exam started", attempt, serverTime: new Date() });
+  } catch (err) {
+    console.error("Start exam error:", err);
+    res.status(500).json({ message: "Failed to start exam" });
+  }
+});
+
+const remainingSeconds = (attempt, now = new Date()) =>
+  attempt.deadline ? Math.max(0, Math.floor((attempt.deadline.getTime() - now.getTime()) / 1000)) : null;
+
+// ✅ Autosave — merge a batch of answers into the open attempt.
+// Send { answers: { <questionId>: "b", ... } }; a null value clears that answer.
+app.put("/api/exams/:courseCode/answers", requireStudent, async (req, res) => {
+  const { answers } = req.body;
+
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return res.status(400).json({ message: "Answers must be an object keyed by question id." });
+  }
+
+  try {
+    const courseCode = decodeURIComponent(req.params.courseCode).trim();
+    const attempt = await Attempt.findOne({ matric: req.student.matric, courseCode: matchCourseCode(courseCode) });
+
+    if (!attempt) {
+      return res.status(400).json({ message: "You have not started this exam." });
+    }
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: "This exam has already been submitted." });
+    }
+    if (isPastGrace(attempt)) {
+      await autoSubmitAttempt(attempt);
+      return res.status(403).json({ message: "Time is up. Your attempt was closed automatically." });
+    }
+
+    // Only accept ids that are on the candidate's paper
+    const paper = await ExamPaper.findOne({ matric: attempt.matric, courseCode: attempt.courseCode });
+    const paperIds = new Set((paper?.questions || []).map(q => String(q.questionId)));
+
+    const $set = { lastSavedAt: new Date() };
+    const $unset = {};
+    for (const [questionId, answer] of Object.entries(answers)) {
+      if (!paperIds.has(questionId)) {
+        return res.status(400).json({ message: `Question ${questionId} is not on your paper.` });
+      }
+      if (answer === null || answer === "") {
+        $unset[`answers.${questionId}`] = "";
+      } else {
+        $set[`answers.${questionId}`] = answer;
+      }
+    }
+
+    const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+    const saved = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in-progress' },
+      update,
+      { new: true }
+    );
+    if (!saved) {
+      return res.status(409).json({ message: "This exam has already been submitted." });
+    }
+
+    res.json({ message: "Answers saved", savedAt: saved.lastSavedAt, remainingSeconds: remainingSeconds(saved) });
+  } catch (err) {
+    console.error("Autosave error:", err);
+    res.status(500).json({ message: "Failed to save answers" });
+  }
+});
+
+// ✅ Resume — return the autosaved answers and the time left on the attempt
+app.get("/api/exams/:courseCode/resume", requireStudent, async (req, res) => {
+  try {
+    const courseCode = decodeURIComponent(req.params.courseCode).trim();
+    const attempt = await Attempt.findOne({ matric: req.student.matric, courseCode: matchCourseCode(courseCode) });
+
+    if (!attempt) {
+      return res.status(404).json({ message: "No attempt found for this exam." });
+    }
+    if (attempt.status === 'in-progress' && isPastGrace(attempt)) {
+      await autoSubmitAttempt(attempt);
+      return res.status(403).json({ message: "Time is up. Your attempt was closed automatically." });
+    }
+
+    res.json({
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      remainingSeconds: remainingSeconds(attempt),
+      answers: attempt.answers || {},
+      lastSavedAt: attempt.lastSavedAt,
+      serverTime: new Date()
+    });
+  } catch (err) {
+    console.error("Resume error:", err);
+    res.status(500).json({ message: "Failed to resume exam" });
+  }
+});
+
+// ✅ Process submission queue
+async function processNextSubmission() {
+  if (submissionQueue.length === 0 || activeSubmissions >= MAX_CONCURRENT_SUBMISSIONS) return;
+
+  const { req, res } = submissionQueue.shift();
+  activeSubmissions++;
+
+  try {
+    const { matric, name, department } = req.student;
+    const courseCode = req.body.courseCode || req.params.courseCode;
+    const { answers = {} } = req.body;
+
+    if (!courseCode || typeof answers !== "object") {
+      return res.status(400).json({ message: "Missing or invalid submission data." });
+    }
+
+    // ✅ The attempt must exist and still be open
+    const attempt = await Attempt.findOne({ matric, courseCode: matchCourseCode(courseCode) });
+    if (!attempt) {
+      return res.status(400).json({ message: "You have not started this exam." });
+    }
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: "Submission already exists." });
+    }
+
+    if (isPastGrace(attempt)) {
+      await autoSubmitAttempt(attempt);
+      return res.status(403).json({ message: "Time is up. Your attempt was closed automatically." });
+    }
+
+    // ✅ The candidate's session may have been closed or cut short since they started
+    const session = attempt.sessionId && await ExamSession.findById(attempt.sessionId);
+    if (session && isPastGrace({ deadline: session.endsAt })) {
+      await autoSubmitAttempt(attempt);
+      return res.status(403).json({ message: "Your exam session has ended. Your attempt was closed automatically." });
+    }
+
+    const claimed = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in-progress' },
+      { status: 'submitted', submittedAt: new Date() }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: "Submission already exists." });
+    }
+
+    // ✅ Check if already submitted
+    const existing = await Submission.findOne({ matric, courseCode: attempt.courseCode });
+    if (existing) {
+      return res.status(409).json({ message: "Submission already exists." });
+    }
+
+    // ✅ Anything sent with the submit overrides what was autosaved
+    const finalAnswers = { ...(attempt.answers || {}), ...answers };
+    try {
+      await recordSubmission({ matric, name, department, courseCode: attempt.courseCode, answers: finalAnswers });
+    } catch (err) {
+      await reopenAttempt(attempt);
+      throw err;
+    }
+
+    res.status(200).json({ message: "Exam submitted successfully" });
+
+  } catch (err) {
+    console.error("Submission error:", err);
+    res.status(500).json({ message: "Submission failed" });
+  } finally {
+    activeSubmissions--;
+    processNextSubmission(); // process next in queue
+  }
+}
+
+// ✅ Submit exam route
+app.post("/api/exams/:courseCode/submit", requireStudent, (req, res) => {
+  submissionQueue.push({ req, res });
+  processNextSubmission();
+});
+
+// ✅ ACCESS CONTROL
+// Per-student overrides are checked first (blocked wins), then department/level groups
+// (blocked wins). A rule only counts inside its validity window and for its course codes.
+
+async function isGlobalAccessControlOn() {
+  const setting = await Settings.findOne({ key: "globalAccessControl" });
+  return setting ? setting.value !== false : true; // Default: enabled
+}
+
+const ruleInWindow = (rule, now) =>
+  (!rule.validFrom || rule.validFrom <= now) && (!rule.validUntil || rule.validUntil > now);
+
+// A rule without course codes covers every course; no course given means "any course"
+const ruleCoversCourse = (rule, courseCode) =>
+  !rule.courseCodes?.length || !courseCode ||
+  rule.courseCodes.some(c => c.toUpperCase() === String(courseCode).trim().toUpperCase());
+
+const describeRule = (rule) => [
+  rule.matric ? `Override for ${rule.matric}` : `${rule.department} ${rule.level}`,
+  rule.courseCodes?.length ? `[${rule.courseCodes.join(", ")}]` : "[all courses]",
+  rule.status,
+].join(" ");
+
+// Decide access for one course from the student's rules, recording every rule considered
+function decideAccess({ overrides, groups }, courseCode, now = new Date()) {
+  const trace = [];
+  const applies = (rule) => {
+    const entry = { ruleId: rule._id, rule: describeRule(rule), applies: false };
+    trace.push(entry);
+    if (!ruleInWindow(rule, now)) entry.why = "outside its validity window";
+    else if (!ruleCoversCourse(rule, courseCode)) entry.why = "does not cover this course";
+    // With no particular course in view, a course-specific block doesn't shut the student out entirely
+    else if (!courseCode && rule.courseCodes?.length && rule.status === "blocked") entry.why = "only blocks specific courses";
+    else entry.applies = true;
+    return entry.applies;
+  };
+
+  const activeOverrides = overrides.filter(applies);
+  const activeGroups = groups.filter(applies);
+
+  const denyOverride = activeOverrides.find(r => r.status === "blocked");
+  if (denyOverride) {
+    return { allowed: false, reason: `Blocked by a per-student override${denyOverride.reason ? `: ${denyOverride.reason}` : ""}`, trace };
+  }
+  if (activeOverrides.length) {
+    return { allowed: true, reason: "Allowed by a per-student override", trace };
+  }
+
+  if (activeGroups.some(r => r.status === "blocked")) {
+    return { allowed: false, reason: "The department and level is blocked", trace };
+  }
+  if (activeGroups.length) {
+    return { allowed: true, reason: "The department and level is allowed", trace };
+  }
+
+  return { allowed: false, reason: "No access rule allows this department and level", trace };
+}
+
+// Check a student against the access rules for each of their courses (null = any course).
+// `allowedCourses` is what the student may sit: a list, or null for any course.
+async function checkStudentAccess(student, courseCodes) {
+  if (!(await isGlobalAccessControlOn())) {
+    return { enabled: false, allowed: true, allowedCourses: courseCodes, reason: "Global access control is off", decisions: [] };
+  }
+
+  const [overrides, groups] = await Promise.all([
+    AccessOverride.find({ matric: student.matric }),
+    AllowedGroup.find({ department: student.department, level: student.level }),
+  ]);
+
+  const now = new Date();
+  const decisions = (courseCodes || [null]).map(courseCode => ({ courseCode, ...decideAccess({ overrides, groups }, courseCode, now) }));
+  const allowed = decisions.some(d => d.allowed);
+
+  return {
+    enabled: true,
+    allowed,
+    allowedCourses: courseCodes ? decisions.filter(d => d.allowed).map(d => d.courseCode) : (allowed ? null : []),
+    reason: (decisions.find(d => d.allowed) || decisions[0]).reason,
+    decisions,
+  };
+}
+
+// Validate the course/window fields shared by group rules and overrides
+function parseAccessRuleFields(body) {
+  const errors = [];
+  const value = {
+    courseCodes: [...new Set([].concat(body.courseCodes || []).map(c => String(c).trim().toUpperCase()).filter(Boolean))].sort(),
+  };
+
+  ["validFrom", "validUntil"].forEach(field => {
+    if (body[field] === undefined || body[field] === null || body[field] === "") {
+      value[field] = null;
+    } else if (isNaN(new Date(body[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    } else {
+      value[field] = new Date(body[field]);
+    }
+  });
+  if (value.validFrom && value.validUntil && value.validUntil <= value.validFrom) {
+    errors.push("validUntil must be after validFrom");
+  }
+  if (body.status !== undefined && !["allowed", "blocked"].includes(body.status)) {
+    errors.push("status must be 'allowed' or 'blocked'");
+  }
+
+  return { errors, value };
+}
+
+// Filter for rules with exactly these (sorted) course codes; rules saved before
+// course codes existed have no field at all and count as "every course"
+const sameCourseCodes = (codes) => codes.length
+  ? { courseCodes: codes }
+  : { $or: [{ courseCodes: { $size: 0 } }, { courseCodes: { $exists: false } }] };
+
+// ✅ Save access for a department + level (allow or block), optionally
+// limited to course codes and a validity window
+app.post("/api/admin/access-control", requireRole("invigilator"), async (req, res) => {
+  const { department, level, status } = req.body;
+
+  if (!department || !level || !status) {
+    return res.status(400).json({ message: "All fields are required." });
+  }
+
+  const { errors, value } = parseAccessRuleFields(req.body);
+  if (errors.length) {
+    return res.status(400).json({ message: errors.join("; ") });
+  }
+
+  try {
+    const existing = await AllowedGroup.findOne({ department, level, ...sameCourseCodes(value.courseCodes) });
+
+    if (existing) {
+      existing.set({ status, validFrom: value.validFrom, validUntil: value.validUntil });
+      await existing.save();
+    } else {
+      await AllowedGroup.create({ department, level, status, ...value });
+    }
+
+    const courses = value.courseCodes.length ? ` (${value.courseCodes.join(", ")})` : "";
+    res.json({ message: `Access for ${department} ${level}${courses} set to ${status}.` });
   } catch (err) {
     console.error("Access control error:", err);
     res.status(500).json({ message: "Error saving access rule." });
   }
-});
+});
+
+// ✅ Get all access rules
+app.get("/api/admin/access-groups", requireRole("invigilator"), async (req, res) => {
+  try {
+    const rules = await AllowedGroup.find();
+    res.json(rules);
+  } catch (err) {
+    res.status(500).json({ message: "Failed to load access groups." });
+  }
+});
+
+// ✅ Edit or remove a single group rule
+app.put("/api/admin/access-groups/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const rule = await AllowedGroup.findById(req.params.id);
+    if (!rule) return res.status(404).json({ message: "Access rule not found." });
+
+    const { errors, value } = parseAccessRuleFields({ ...rule.toObject(), ...req.body });
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join("; ") });
+    }
+
+    rule.set({ ...value, status: req.body.status || rule.status });
+    await rule.save();
+    res.json({ message: "Access rule updated.", rule });
+  } catch (err) {
+    console.error("Access rule update error:", err);
+    res.status(500).json({ message: "Error saving access rule." });
+  }
+});
+
+app.delete("/api/admin/access-groups/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const rule = await AllowedGroup.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ message: "Access rule not found." });
+    res.json({ message: "Access rule deleted." });
+  } catch (err) {
+    console.error("Access rule delete error:", err);
+    res.status(500).json({ message: "Error deleting access rule." });
+  }
+});
+
+// ✅ Allow or block one student regardless of their department's rules.
+// Body: { matric, status: "allowed" | "blocked", courseCodes?, validFrom?, validUntil?, reason? }
+app.post("/api/admin/access-overrides", requireRole("invigilator"), async (req, res) => {
+  const matric = String(req.body.matric || "").trim().toUpperCase();
+  const { status, reason } = req.body;
+
+  if (!matric || !status) {
+    return res.status(400).json({ message: "matric and status are required." });
+  }
+
+  const { errors, value } = parseAccessRuleFields(req.body);
+  if (errors.length) {
+    return res.status(400).json({ message: errors.join("; ") });
+  }
+
+  try {
+    const filter = { matric, courseKey: value.courseCodes.join(",") };
+    const update = { status, reason, courseCodes: value.courseCodes, validFrom: value.validFrom, validUntil: value.validUntil, createdBy: req.admin._id };
+    let override;
+    try {
+      override = await AccessOverride.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (err) {
+      // A concurrent save inserted the same override first; update that one
+      if (err.code !== 11000) throw err;
+      override = await AccessOverride.findOneAndUpdate(filter, update, { new: true });
+    }
+    res.json({ message: `${matric} is now ${status}.`, override });
+  } catch (err) {
+    console.error("Access override error:", err);
+    res.status(500).json({ message: "Error saving access override." });
+  }
+});
+
+app.get("/api/admin/access-overrides", requireRole("invigilator"), async (req, res) => {
+  try {
+    const filter = req.query.matric ? { matric: String(req.query.matric).trim().toUpperCase() } : {};
+    res.json(await AccessOverride.find(filter).sort({ matric: 1 }));
+  } catch (err) {
+    console.error("Access override list error:", err);
+    res.status(500).json({ message: "Failed to load access overrides." });
+  }
+});
+
+app.delete("/api/admin/access-overrides/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const override = await AccessOverride.findByIdAndDelete(req.params.id);
+    if (!override) return res.status(404).json({ message: "Access override not found." });
+    res.json({ message: "Access override deleted." });
+  } catch (err) {
+    console.error("Access override delete error:", err);
+    res.status(500).json({ message: "Error deleting access override." });
+  }
+});
+
+// ✅ Explain whether a matric can get in, running the same checks as student login
+// (registration, access rules, schedule, open session). ?matric=&courseCode=
+app.get("/api/admin/access-control/explain", requireRole("invigilator"), async (req, res) => {
+  const matric = String(req.query.matric || "").trim().toUpperCase();
+  const courseCode = req.query.courseCode ? String(req.query.courseCode).trim().toUpperCase() : null;
+  if (!matric) {
+    return res.status(400).json({ message: "matric is required." });
+  }
+
+  try {
+    const checks = [];
+    const verdict = () => {
+      const failed = checks.find(c => !c.passed);
+      return { matric, courseCode, allowed: !failed, reason: failed ? failed.detail : "All checks passed", checks };
+    };
+
+    const student = await Student.findOne({ matric }).select("-password");
+    checks.push({
+      check: "registered",
+      passed: !!student,
+      detail: student ? `${student.name}, ${student.department} ${student.level}` : "No registered student with this matric",
+    });
+    if (!student) return res.json(verdict());
+
+    let courseCodes = await scheduledCourseCodes(matric);
+    const scheduled = courseCodes === null || (courseCode ? courseCodes.includes(courseCode) : courseCodes.length > 0);
+    checks.push({
+      check: "scheduled",
+      passed: scheduled,
+      detail: !scheduled
+        ? (courseCode ? `Not scheduled for ${courseCode}` : "Not scheduled for any course")
+        : courseCodes === null ? "Scheduled (any course)" : `Scheduled for ${courseCodes.join(", ")}`,
+    });
+    if (courseCode) courseCodes = [courseCode];
+
+    const access = await checkStudentAccess(student, courseCodes);
+    checks.push({
+      check: "accessRules",
+      passed: access.allowed,
+      globalAccessControl: access.enabled,
+      detail: access.reason,
+      decisions: access.decisions,
+    });
+
+    const session = access.allowed ? await findOpenSession(matric, access.allowedCourses) : null;
+    checks.push({
+      check: "session",
+      passed: !!session,
+      detail: session
+        ? `${session.name} is open until ${session.endsAt.toISOString()}${session.venue ? ` in ${session.venue}` : ""}`
+        : access.allowed ? "No open session for the allowed course(s)" : "Not checked: access rules deny entry",
+    });
+
+    res.json(verdict());
+  } catch (err) {
+    console.error("Access explain error:", err);
+    res.status(500).json({ message: "Failed to explain access." });
+  }
+});
+
+// ✅ Toggle global access control ON/OFF
+app.post("/api/admin/access-control-toggle", requireRole("invigilator"), async (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== "boolean") {
+    return res.status(400).json({ message: "Invalid value for 'enabled'" });
+  }
+
+  try {
+    await Settings.findOneAndUpdate(
+      { key: "globalAccessControl" },
+      { value: enabled },
+      { upsert: true, new: true }
+    );
+
+    res.json({ message: `Global access control set to ${enabled ? "ON" : "OFF"}` });
+  } catch (err) {
+    console.error("Toggle error:", err);
+    res.status(500).json({ message: "Failed to update access control status." });
+  }
+});
+
+// ✅ Get current global access control status
+app.get("/api/admin/access-control-toggle", requireRole("invigilator"), async (req, res) => {
+  try {
+    const setting = await Settings.findOne({ key: "globalAccessControl" });
+    res.json({ enabled: setting ? setting.value : true }); // Default: enabled
+  } catch (err) {
+    console.error("Fetch toggle error:", err);
+    res.status(500).json({ message: "Failed to retrieve toggle state." });
+  }
+});
+
+// ✅ SCHEDULE — which candidate sits which course, and in which sitting
+
+// Course codes a candidate is scheduled for, or null if any entry predates
+// course-specific scheduling (those admit the candidate to every course)
+async function scheduledCourseCodes(matric) {
+  const entries = await ScheduledStudent.find({ matric });
+  if (!entries.length) return [];
+  if (entries.some(e => !e.courseCode)) return null;
+  return entries.map(e => e.courseCode);
+}
+
+const isScheduledFor = (matric, courseCode) =>
+  ScheduledStudent.exists({ matric, $or: [{ courseCode: matchCourseCode(courseCode) }, { courseCode: null }] });
+
+// Check every row of a schedule sheet. Errors are never imported;
+// warnings are imported on confirm unless ?skipWarnings=true.
+async function buildScheduleReport(rows, defaults = {}) {
+  await ensureMatricRegistry();
+  const parsed = rows.map((row, i) => ({
+    row: i + 2, // +2: header row and 1-based numbering
+    matric: pickColumn(row, ["matric", "matric number", "matricNo"]).toUpperCase(),
+    name: pickColumn(row, ["name", "full name", "student name"]),
+    department: pickColumn(row, ["department", "dept"]),
+    level: pickColumn(row, ["level"]).toUpperCase(),
+    courseCode: (pickColumn(row, ["course code", "courseCode", "course"]) || String(defaults.courseCode || "").trim()).toUpperCase(),
+    sitting: pickColumn(row, ["sitting", "session", "batch"]) || String(defaults.sitting || "").trim(),
+  }));
+
+  const matrics = [...new Set(parsed.map(r => r.matric).filter(Boolean))];
+  const codes = [...new Set(parsed.map(r => r.courseCode).filter(Boolean))];
+  const [students, existing, exams] = await Promise.all([
+    Student.find({ matric: { $in: matrics } }, "matric name department level"),
+    ScheduledStudent.find({ matric: { $in: matrics } }, "matric courseCode"),
+    Exam.find({ courseCode: { $in: codes.map(c => matchCourseCode(c).$regex) } }, "courseCode"),
+  ]);
+  const studentByMatric = new Map(students.map(s => [s.matric, s]));
+  const alreadyScheduled = new Set(existing.map(e => `${e.matric}|${String(e.courseCode || "").toUpperCase()}`));
+  const knownCourses = new Set(exams.map(e => e.courseCode.toUpperCase()));
+  const seen = new Set();
+
+  return parsed.map(entry => {
+    const errors = [];
+    const warnings = [];
+
+    if (!entry.matric) errors.push("Missing matric.");
+    if (!entry.courseCode) errors.push("Missing course code.");
+
+    const derived = entry.matric ? getDepartmentAndLevelFromMatric(entry.matric) : null;
+    if (derived?.error) errors.push(derived.error);
+
+    const key = `${entry.matric}|${entry.courseCode}`;
+    if (entry.matric && entry.courseCode) {
+      if (seen.has(key)) errors.push("Duplicate row for this matric and course.");
+      seen.add(key);
+    }
+
+    if (!errors.length) {
+      const student = studentByMatric.get(entry.matric);
+      if (!student) warnings.push("No registered student with this matric.");
+      if (!knownCourses.has(entry.courseCode)) warnings.push("No exam has been set up for this course yet.");
+      if (alreadyScheduled.has(key)) warnings.push("Already scheduled for this course; the entry will be updated.");
+
+      const expected = student || {
+        department: derived.department,
+        level: derived.levelAuthoritative ? derived.level : entry.level,
+      };
+      if (!expected.department || expected.department === "Unknown") {
+        warnings.push("Department is unknown for this matric.");
+      }
+      if (entry.department && entry.department.toLowerCase() !== String(expected.department).toLowerCase()) {
+        warnings.push(`Department "${entry.department}" does not match ${expected.department}.`);
+      }
+      if (entry.level && expected.level && entry.level !== String(expected.level).toUpperCase()) {
+        warnings.push(`Level "${entry.level}" does not match ${expected.level}.`);
+      }
+
+      // The registered student (or the matric) is the source of truth for department and level
+      entry.department = expected.department;
+      entry.level = expected.level;
+      entry.name = entry.name || student?.name || "";
+    }
+
+    const status = errors.length ? "error" : warnings.length ? "warning" : "ok";
+    return { ...entry, status, errors, warnings };
+  });
+}
+
+// ✅ Upload Scheduled Students via Excel
+// Columns: Matric | Course Code | Sitting [| Name | Department | Level].
+// ?courseCode= and ?sitting= fill in missing columns. Dry run unless ?confirm=true.
+app.post("/api/schedule/upload", cors(), requireRole("invigilator"), memoryUpload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "Please upload a file." });
+  }
+
+  try {
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    if (![".xlsx", ".xls", ".csv"].includes(ext)) {
+      return res.status(400).json({ message: "Invalid file type. Please upload an Excel or CSV file." });
+    }
+
+    const workbook = XLSX.read(req.file.buffer, { type: "buffer" });
+    const sheetName = workbook.SheetNames[0];
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: "" });
+
+    const rows = await buildScheduleReport(data, req.query);
+    const summary = {
+      total: rows.length,
+      ok: rows.filter(r => r.status === "ok").length,
+      warnings: rows.filter(r => r.status === "warning").length,
+      errors: rows.filter(r => r.status === "error").length,
+    };
+
+    if (req.query.confirm !== "true") {
+      return res.json({ message: "Dry run — nothing was saved. Re-send with ?confirm=true to schedule.", summary, rows });
+    }
+
+    const skipWarnings = req.query.skipWarnings === "true";
+    const toSave = rows.filter(r => r.status === "ok" || (r.status === "warning" && !skipWarnings));
+
+    if (toSave.length) {
+      // Course-specific entries replace any old catch-all entry for the same candidate
+      await ScheduledStudent.deleteMany({ matric: { $in: toSave.map(r => r.matric) }, courseCode: null });
+      await ScheduledStudent.bulkWrite(toSave.map(({ matric, name, department, level, courseCode, sitting }) => ({
+        updateOne: {
+          filter: { matric, courseCode },
+          update: { $set: { matric, name, department, level, courseCode, sitting: sitting || undefined, uploadedBy: req.admin._id } },
+          upsert: true
+        }
+      })));
+    }
+
+    res.json({ message: `${toSave.length} schedule entr${toSave.length === 1 ? "y" : "ies"} saved`, summary, rows });
+
+  } catch (err) {
+    console.error("Excel Upload Error:", err.stack || err);
+    res.status(500).json({ message: "Failed to upload students" });
+  }
+});
+
+// Filter for ?matric=&courseCode=&sitting= (query) or the same keys in a request body
+function scheduleFilter(source) {
+  const filter = {};
+  const matrics = [].concat(source.matric || source.matrics || []).map(m => String(m).trim().toUpperCase()).filter(Boolean);
+  if (matrics.length) filter.matric = { $in: matrics };
+  if (source.courseCode) filter.courseCode = matchCourseCode(source.courseCode);
+  if (source.sitting) filter.sitting = String(source.sitting).trim();
+  return filter;
+}
+
+// Get list of scheduled students (?matric=&courseCode=&sitting=)
+app.get("/api/schedule/list", requireRole("invigilator"), async (req, res) => {
+  try {
+    const students = await ScheduledStudent.find(scheduleFilter(req.query)).sort({ courseCode: 1, matric: 1 });
+    res.json(students);
+  } catch (err) {
+    console.error("Failed to fetch scheduled list:", err);
+    res.status(500).json({ message: "Error fetching schedule list" });
+  }
+});
+
+// Remove selected schedule entries. Body: { matrics?: [...], courseCode?, sitting? } — at least one is required
+app.delete("/api/schedule/entries", requireRole("invigilator"), async (req, res) => {
+  const filter = scheduleFilter(req.body || {});
+  if (!Object.keys(filter).length) {
+    return res.status(400).json({ message: "Give matrics, a courseCode or a sitting to remove. Use /api/schedule/clear to remove everything." });
+  }
+
+  try {
+    const { deletedCount } = await ScheduledStudent.deleteMany(filter);
+    res.json({ message: `${deletedCount} schedule entr${deletedCount === 1 ? "y" : "ies"} removed`, deleted: deletedCount });
+  } catch (err) {
+    console.error("Error removing schedule entries:", err);
+    res.status(500).json({ message: "Error removing schedule entries" });
+  }
+});
+
+// Remove one schedule entry
+app.delete("/api/schedule/entries/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const entry = await ScheduledStudent.findByIdAndDelete(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Schedule entry not found" });
+    res.json({ message: `${entry.matric} removed from ${entry.courseCode || "the schedule"}` });
+  } catch (err) {
+    console.error("Error removing schedule entry:", err);
+    res.status(500).json({ message: "Error removing schedule entry" });
+  }
+});
+
+// Clear all scheduled students
+app.delete("/api/schedule/clear", requireRole("invigilator"), async (req, res) => {
+  try {
+    await ScheduledStudent.deleteMany({});
+    res.json({ message: "Scheduled list cleared successfully." });
+  } catch (err) {
+    console.error("Error clearing scheduled list:", err);
+    res.status(500).json({ message: "Error clearing schedule list" });
+  }
+});
+
+// ✅ VENUES AND SEATING
+
+// ✅ Add a venue. Body: { name, capacity, notes? }
+app.post("/api/venues", requireRole("invigilator"), async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  const capacity = Number(req.body.capacity);
+
+  if (!name || !Number.isInteger(capacity) || capacity < 1) {
+    return res.status(400).json({ message: "A name and a whole-number seat capacity are required." });
+  }
+
+  try {
+    const venue = await Venue.create({ name, capacity, notes: req.body.notes });
+    res.status(201).json({ message: "Venue added", venue });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A venue with this name already exists." });
+    }
+    console.error("Add venue error:", err);
+    res.status(500).json({ message: "Failed to add venue" });
+  }
+});
+
+app.get("/api/venues", requireRole("invigilator"), async (req, res) => {
+  try {
+    res.json(await Venue.find().sort({ name: 1 }));
+  } catch (err) {
+    console.error("List venues error:", err);
+    res.status(500).json({ message: "Failed to load venues" });
+  }
+});
+
+// ✅ Update a venue's capacity, name or availability
+app.put("/api/venues/:id", requireRole("invigilator"), async (req, res) => {
+  const update = {};
+  if (req.body.name !== undefined) update.name = String(req.body.name).trim();
+  if (req.body.capacity !== undefined) update.capacity = Number(req.body.capacity);
+  if (req.body.active !== undefined) update.active = !!req.body.active;
+  if (req.body.notes !== undefined) update.notes = req.body.notes;
+
+  if (update.name === "" || (update.capacity !== undefined && (!Number.isInteger(update.capacity) || update.capacity < 1))) {
+    return res.status(400).json({ message: "Name cannot be empty and capacity must be a whole number above zero." });
+  }
+
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ message: "Venue not found" });
+
+    const oldName = venue.name;
+    venue.set(update);
+    await venue.save();
+
+    // Seat assignments carry the venue name for lists and /api/schedule/check
+    if (venue.name !== oldName) {
+      await ScheduledStudent.updateMany(
+        { $or: [{ venueId: venue._id }, { venue: oldName }] },
+        { venueId: venue._id, venue: venue.name }
+      );
+    }
+
+    res.json({ message: "Venue updated", venue });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A venue with this name already exists." });
+    }
+    console.error("Update venue error:", err);
+    res.status(500).json({ message: "Failed to update venue" });
+  }
+});
+
+app.delete("/api/venues/:id", requireRole("invigilator"), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ message: "Venue not found" });
+
+    if (await ScheduledStudent.exists({ $or: [{ venueId: venue._id }, { venue: venue.name }] })) {
+      return res.status(409).json({ message: "Candidates are seated in this venue. Clear the seating first or mark it inactive." });
+    }
+
+    await venue.deleteOne();
+    res.json({ message: "Venue deleted" });
+  } catch (err) {
+    console.error("Delete venue error:", err);
+    res.status(500).json({ message: "Failed to delete venue" });
+  }
+});
+
+// Order candidates so that, wherever possible, no two neighbours share a department.
+// Greedy: always take from the largest remaining group that differs from the last one placed.
+function interleaveBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  const ordered = [];
+  let lastKey;
+  while (ordered.length < items.length) {
+    const candidates = [...groups.entries()].filter(([, list]) => list.length).sort((a, b) => b[1].length - a[1].length);
+    const [key, list] = candidates.find(([k]) => k !== lastKey) || candidates[0];
+    ordered.push(list.shift());
+    lastKey = key;
+  }
+  return ordered;
+}
+
+// Split `count` candidates across venues in proportion to their capacity (largest remainder)
+function shareAcrossVenues(count, venues) {
+  const totalSeats = venues.reduce((n, v) => n + v.capacity, 0);
+  const shares = venues.map(v => {
+    const exact = (count * v.capacity) / totalSeats;
+    return { venue: v, seats: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let left = count - shares.reduce((n, s) => n + s.seats, 0);
+  [...shares].sort((a, b) => b.remainder - a.remainder).forEach(s => {
+    if (left > 0 && s.seats < s.venue.capacity) {
+      s.seats++;
+      left--;
+    }
+  });
+  return shares;
+}
+
+// Assign schedule entries to batches, venues and seats. A candidate sitting several
+// courses never gets two seats in the same batch. Returns null if maxBatches is too few.
+function allocateSeats(entries, venues, { interleave = true, maxBatches = Infinity } = {}) {
+  const batchSize = venues.reduce((n, v) => n + v.capacity, 0);
+  const ordered = interleave ? interleaveBy(entries, e => e.department || "") : entries;
+
+  const batches = [];
+  for (const entry of ordered) {
+    let batch = batches.find(b => b.entries.length < batchSize && !b.matrics.has(entry.matric));
+    if (!batch) {
+      if (batches.length >= maxBatches) return null;
+      batch = { entries: [], matrics: new Set() };
+      batches.push(batch);
+    }
+    batch.entries.push(entry);
+    batch.matrics.add(entry.matric);
+  }
+
+  const assignments = [];
+  batches.forEach((batch, b) => {
+    let offset = 0;
+    shareAcrossVenues(batch.entries.length, venues).forEach(({ venue, seats }) => {
+      batch.entries.slice(offset, offset + seats).forEach((entry, i) => {
+        assignments.push({ entry, venueId: venue._id, venue: venue.name, seat: i + 1, batch: b + 1 });
+      });
+      offset += seats;
+    });
+  });
+  return { assignments, batches: batches.length, batchSize };
+}
+
+// ✅ Plan seating for scheduled candidates.
+// Body: { courseCode?, sitting?, venueIds?, interleave = true, maxBatches?, batchTimes?: [ISO date per batch] }
+// Dry run unless ?confirm=true; confirming overwrites earlier seats for the same candidates.
+app.post("/api/seating/plan", requireRole("invigilator"), async (req, res) => {
+  const { venueIds, interleave = true, maxBatches, batchTimes = [] } = req.body;
+
+  if (!Array.isArray(batchTimes) || batchTimes.some(t => isNaN(new Date(t).getTime()))) {
+    return res.status(400).json({ message: "batchTimes must be a list of valid dates." });
+  }
+
+  try {
+    const venueFilter = Array.isArray(venueIds) && venueIds.length ? { _id: { $in: venueIds } } : { active: true };
+    const venues = await Venue.find(venueFilter).sort({ name: 1 });
+    if (!venues.length) {
+      return res.status(400).json({ message: "No venues available. Add venues first." });
+    }
+
+    const entries = await ScheduledStudent.find(scheduleFilter(req.body)).sort({ matric: 1 });
+    if (!entries.length) {
+      return res.status(404).json({ message: "No scheduled candidates match." });
+    }
+
+    const plan = allocateSeats(entries, venues, { interleave: interleave !== false, maxBatches: Number(maxBatches) || Infinity });
+    if (!plan) {
+      const seats = venues.reduce((n, v) => n + v.capacity, 0);
+      return res.status(400).json({
+        message: `${entries.length} candidates do not fit in ${maxBatches} batch(es) of ${seats} seats.`
+      });
+    }
+
+    const batchStartsAt = (batch) => (batchTimes[batch - 1] ? new Date(batchTimes[batch - 1]) : undefined);
+    const rows = plan.assignments.map(({ entry, venue, seat, batch }) => ({
+      matric: entry.matric,
+      name: entry.name,
+      department: entry.department,
+      courseCode: entry.courseCode,
+      venue,
+      seat,
+      batch,
+      batchStartsAt: batchStartsAt(batch),
+    }));
+
+    const summary = {
+      candidates: rows.length,
+      batches: plan.batches,
+      seatsPerBatch: plan.batchSize,
+      venues: venues.map(v => ({
+        name: v.name,
+        capacity: v.capacity,
+        perBatch: Array.from({ length: plan.batches }, (_, b) => rows.filter(r => r.venue === v.name && r.batch === b + 1).length),
+      })),
+    };
+
+    if (req.query.confirm !== "true") {
+      return res.json({ message: "Dry run — nothing was saved. Re-send with ?confirm=true to apply.", summary, rows });
+    }
+
+    await ScheduledStudent.bulkWrite(plan.assignments.map(({ entry, venueId, venue, seat, batch }) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { venueId, venue, seat, batch, batchStartsAt: batchStartsAt(batch) } }
+      }
+    })));
+
+    res.json({ message: `${rows.length} candidate(s) seated`, summary, rows });
+  } catch (err) {
+    console.error("Seating plan error:", err);
+    res.status(500).json({ message: "Failed to plan seating" });
+  }
+});
+
+// ✅ Remove seat assignments (?courseCode=&sitting=&matric=, or all)
+app.delete("/api/seating", requireRole("invigilator"), async (req, res) => {
+  try {
+    const { modifiedCount } = await ScheduledStudent.updateMany(
+      { ...scheduleFilter(req.query), venue: { $exists: true } },
+      { $unset: { venueId: "", venue: "", seat: "", batch: "", batchStartsAt: "" } }
+    );
+    res.json({ message: `${modifiedCount} seat assignment(s) cleared` });
+  } catch (err) {
+    console.error("Clear seating error:", err);
+    res.status(500).json({ message: "Failed to clear seating" });
+  }
+});
+
+// ✅ Seating lists: ?venue=&batch=&courseCode=&sitting=&format=json|xlsx|pdf
+app.get("/api/seating/list", requireRole("invigilator"), async (req, res) => {
+  const { format = "json" } = req.query;
+
+  try {
+    const filter = { ...scheduleFilter(req.query), venue: req.query.venue || { $exists: true } };
+    if (req.query.batch) filter.batch = Number(req.query.batch);
+
+    const seated = await ScheduledStudent.find(filter).sort({ batch: 1, venue: 1, seat: 1 });
+    if (!seated.length) {
+      return res.status(404).json({ message: "No seat assignments found." });
+    }
+
+    // One list per venue and batch, in seat order
+    const lists = [];
+    seated.forEach(s => {
+      let list = lists[lists.length - 1];
+      if (!list || list.venue !== s.venue || list.batch !== s.batch) {
+        list = { venue: s.venue, batch: s.batch, startsAt: s.batchStartsAt, candidates: [] };
+        lists.push(list);
+      }
+      list.candidates.push({ seat: s.seat, matric: s.matric, name: s.name, department: s.department, courseCode: s.courseCode });
+    });
+    const listTitle = (l) => `${l.venue} — Batch ${l.batch}${l.startsAt ? ` (${l.startsAt.toLocaleString("en-GB", { timeZone: REPORT_TIMEZONE })})` : ""}`;
+
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.Workbook();
+      const usedNames = new Set();
+      lists.forEach(l => {
+        const sheet = workbook.addWorksheet(toSheetName(`${l.venue} B${l.batch}`, usedNames));
+        sheet.addRow([listTitle(l)]).font = { bold: true };
+        sheet.addRow(["Seat", "Matric", "Name", "Department", "Course"]).font = { bold: true };
+        l.candidates.forEach(c => sheet.addRow([c.seat, c.matric, c.name, c.department, c.courseCode]));
+        sheet.columns = [{ width: 8 }, { width: 18 }, { width: 30 }, { width: 30 }, { width: 12 }];
+      });
+
+      res.attachment("seating-lists.xlsx");
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    if (format === "pdf") {
+      const doc = new PDFDocument({ size: "A4", margin: 36 });
+      res.type("application/pdf");
+      res.attachment("seating-lists.pdf");
+      doc.pipe(res);
+
+      lists.forEach((l, i) => {
+        if (i > 0) doc.addPage();
+        drawPdfHeader(doc, `Seating List — ${listTitle(l)}`);
+        drawPdfTable(doc, [
+          { header: "Seat", key: "seat", width: 40, align: "right" },
+          { header: "Matric No.", key: "matric", width: 105 },
+          { header: "Name", key: "name", width: 170 },
+          { header: "Department", key: "department", width: 130 },
+          { header: "Course", key: "courseCode", width: 70 },
+        ], l.candidates);
+        drawSignatureLines(doc, ["Invigilator", "Hall Supervisor"]);
+      });
+
+      doc.end();
+      return;
+    }
+
+    res.json(lists);
+  } catch (err) {
+    console.error("Seating list error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to build seating lists" });
+  }
+});
+
+// ✅ Results joined with student details, filtered by
+// ?courseCode=&department=&level=&from=&to= (dates match the result timestamp)
+async function loadFilteredResults(query) {
+  const resultFilter = {};
+  if (query.courseCode) resultFilter.courseCode = matchCourseCode(query.courseCode);
+  if (query.from || query.to) {
+    resultFilter.timestamp = {};
+    if (query.from) resultFilter.timestamp.$gte = new Date(query.from);
+    if (query.to) {
+      const to = new Date(query.to);
+      // A bare date means "through the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+      resultFilter.timestamp.$lte = to;
+    }
+  }
+
+  const studentFilter = {};
+  if (query.department) studentFilter.department = query.department;
+  if (query.level) studentFilter.level = query.level;
+  const filterByStudent = Object.keys(studentFilter).length > 0;
+
+  const students = await Student.find(studentFilter, "matric name department level");
+  const byMatric = new Map(students.map(s => [s.matric, s]));
+  if (filterByStudent) resultFilter.studentMatric = { $in: students.map(s => s.matric) };
+
+  const results = await Result.find(resultFilter).sort({ courseCode: 1, studentMatric: 1 });
+
+  return results.map(result => {
+    const student = byMatric.get(result.studentMatric);
+    return {
+      name: student?.name || "Unknown",
+      matric: result.studentMatric,
+      department: student?.department || "Unknown",
+      level: student?.level || "",
+      courseCode: result.courseCode,
+      caScore: result.caScore || 0,
+      caMissing: !!result.caMissing,
+      score: result.score,
+      total: result.total,
+      totalScore: result.totalScore || (result.score || 0),
+      percentage: result.percentage ?? null,
+      grade: result.grade || null,
+      gradePoint: result.gradePoint ?? null,
+      passed: result.passed ?? null,
+      timestamp: result.timestamp,
+    };
+  });
+}
+
+const invalidDate = (value) => value && isNaN(new Date(value).getTime());
+
+  // ✅ Get JSON results with full score details
+app.get("/api/results", requireRole("examiner"), async (req, res) => {
+  if (invalidDate(req.query.from) || invalidDate(req.query.to)) {
+    return res.status(400).json({ error: "from/to must be valid dates" });
+  }
+
+  try {
+    res.json(await loadFilteredResults(req.query));
+  } catch (err) {
+    console.error("Failed to fetch results:", err);
+    res.status(500).json({ error: "Failed to fetch results" });
+  }
+});
+
+// Per-course averages and pass rate for the summary sheet
+function summarizeByCourse(rows) {
+  const courses = new Map();
+  rows.forEach(r => {
+    if (!courses.has(r.courseCode)) courses.set(r.courseCode, []);
+    courses.get(r.courseCode).push(r);
+  });
+
+  return [...courses.entries()].map(([courseCode, list]) => {
+    const totals = list.map(r => r.totalScore);
+    const graded = list.filter(r => r.passed !== null);
+    return {
+      courseCode,
+      candidates: list.length,
+      averageExam: roundMarks(mean(list.map(r => r.score || 0))),
+      averageCa: roundMarks(mean(list.map(r => r.caScore))),
+      averageTotal: roundMarks(mean(totals)),
+      highest: Math.max(...totals),
+      lowest: Math.min(...totals),
+      passRate: graded.length ? graded.filter(r => r.passed).length / graded.length : null,
+      missingCa: list.filter(r => r.caMissing).length,
+    };
+  });
+}
+
+// Excel sheet names: max 31 chars, none of : \ / ? * [ ]
+const toSheetName = (name, used) => {
+  const base = String(name).replace(/[:\\/?*[\]]/g, "-").slice(0, 31) || "Sheet";
+  let sheetName = base;
+  for (let i = 2; used.has(sheetName.toLowerCase()); i++) sheetName = `${base.slice(0, 28)} (${i})`;
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+// Stream a workbook with a summary sheet and one sheet per course
+async function streamResultsWorkbook(res, rows) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const used = new Set();
+
+  const summary = workbook.addWorksheet(toSheetName("Summary", used));
+  summary.columns = [
+    { header: "Course Code", key: "courseCode", width: 14 },
+    { header: "Candidates", key: "candidates", width: 11 },
+    { header: "Avg Exam", key: "averageExam", width: 10, style: { numFmt: "0.00" } },
+    { header: "Avg CA", key: "averageCa", width: 10, style: { numFmt: "0.00" } },
+    { header: "Avg Total", key: "averageTotal", width: 10, style: { numFmt: "0.00" } },
+    { header: "Highest", key: "highest", width: 9, style: { numFmt: "0.00" } },
+    { header: "Lowest", key: "lowest", width: 9, style: { numFmt: "0.00" } },
+    { header: "Pass Rate", key: "passRate", width: 10, style: { numFmt: "0.0%" } },
+    { header: "Missing CA", key: "missingCa", width: 11 },
+  ];
+  summary.getRow(1).font = { bold: true };
+  summarizeByCourse(rows).forEach(course => summary.addRow(course).commit());
+  summary.commit();
+
+  const byCourse = new Map();
+  rows.forEach(r => {
+    if (!byCourse.has(r.courseCode)) byCourse.set(r.courseCode, []);
+    byCourse.get(r.courseCode).push(r);
+  });
+
+  for (const [courseCode, list] of byCourse) {
+    const sheet = workbook.addWorksheet(toSheetName(courseCode, used));
+    sheet.columns = [
+      { header: "Name", key: "name", width: 28 },
+      { header: "Matric", key: "matric", width: 18 },
+      { header: "Department", key: "department", width: 24 },
+      { header: "Level", key: "level", width: 8 },
+      { header: "CA Score", key: "caScore", width: 10, style: { numFmt: "0.00" } },
+      { header: "Exam Score", key: "score", width: 11, style: { numFmt: "0.00" } },
+      { header: "Total Score", key: "totalScore", width: 11, style: { numFmt: "0.00" } },
+      { header: "Grade", key: "grade", width: 8 },
+      { header: "Grade Point", key: "gradePoint", width: 11, style: { numFmt: "0.00" } },
+      { header: "Status", key: "status", width: 8 },
+      { header: "CA Missing", key: "caMissing", width: 11 },
+      { header: "Date", key: "timestamp", width: 20, style: { numFmt: "yyyy-mm-dd hh:mm" } },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    list.forEach(r => sheet.addRow({
+      ...r,
+      score: r.score || 0,
+      status: r.passed === null ? "" : (r.passed ? "PASS" : "FAIL"),
+      caMissing: r.caMissing ? "YES" : "",
+    }).commit());
+    sheet.commit();
+  }
+
+  await workbook.commit();
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ✅ Download results with CA, Exam, and Total.
+// ?format=xlsx gives a workbook with a summary sheet and one sheet per course;
+// the default is CSV. Takes the same filters as /api/results.
+// ?report=gpa gives one row per student with their GPA; ?report=distribution one row per course and grade.
+app.get("/api/results/download", requireRole("examiner"), async (req, res) => {
+  if (invalidDate(req.query.from) || invalidDate(req.query.to)) {
+    return res.status(400).json({ error: "from/to must be valid dates" });
+  }
+
+  try {
+    const rows = await loadFilteredResults(req.query);
+
+    if (req.query.report === "gpa" || req.query.report === "distribution") {
+      let reportRows;
+      if (req.query.report === "gpa") {
+        const students = new Map(rows.map(r => [r.matric, r]));
+        const gpaInput = rows.map(r => ({ studentMatric: r.matric, courseCode: r.courseCode, gradePoint: r.gradePoint ?? undefined }));
+        reportRows = (await computeGpas(gpaInput)).map(g => {
+          const student = students.get(g.matric);
+          return { Name: student?.name || "", Matric: g.matric, Department: student?.department || "", Courses: g.courses, CreditUnits: g.creditUnits, GPA: g.gpa };
+        });
+      } else {
+        const { byCourse } = gradeDistribution(rows);
+        reportRows = Object.entries(byCourse).flatMap(([courseCode, c]) =>
+          Object.entries(c.grades).map(([grade, count]) => ({ CourseCode: courseCode, Grade: grade, Count: count, Candidates: c.total, Passed: c.passed }))
+        );
+      }
+
+      if (!reportRows.length) {
+        return res.status(404).json({ error: "No graded results found" });
+      }
+
+      res.header("Content-Type", "text/csv");
+      res.attachment(`results-${req.query.report}.csv`);
+      return res.send(new Parser().parse(reportRows));
+    }
+
+    if (req.query.format === "xlsx") {
+      res.attachment("results.xlsx");
+      return await streamResultsWorkbook(res, rows);
+    }
+
+    // CSV is written row by row straight to the response
+    res.header("Content-Type", "text/csv");
+    res.attachment("results.csv");
+    res.write(["Name", "Matric", "Department", "Level", "Course Code", "CA Score", "CA Missing", "Exam Score", "Total Score", "Grade", "Grade Point", "Status"].join(",") + "\n");
+    rows.forEach(r => {
+      res.write([
+        r.name, r.matric, r.department, r.level, r.courseCode, r.caScore, r.caMissing ? "YES" : "",
+        r.score || 0, r.totalScore, r.grade || "", r.gradePoint ?? "", r.passed === null ? "" : (r.passed ? "PASS" : "FAIL")
+      ].map(csvCell).join(",") + "\n");
+    });
+    res.end();
+  } catch (error) {
+    console.error("Results download error:", error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Failed to generate results file" });
+  }
+});
+
+// ✅ PDF RESULT SLIPS / BROADSHEETS
+
+// Passport URLs come from the registration form, so only our own Cloudinary account is fetched
+function isCloudinaryPassportUrl(passport) {
+  let url;
+  try {
+    url = new URL(passport);
+  } catch (err) {
+    return false;
+  }
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  return url.protocol === "https:" && url.hostname === "res.cloudinary.com" && !url.port &&
+    !!cloudName && url.pathname.startsWith(`/${cloudName}/`);
+}
+
+// Load a passport photo for the slip: local uploads are read from disk, Cloudinary
+// URLs are fetched. Returns null when it can't be loaded (the slip shows a blank frame).
+async function loadPassportImage(passport) {
+  if (!passport) return null;
+
+  try {
+    if (passport.startsWith("http")) {
+      if (!isCloudinaryPassportUrl(passport)) {
+        console.error("Passport load skipped, not a Cloudinary URL:", passport);
+        return null;
+      }
+      const response = await axios.get(passport, {
+        responseType: "arraybuffer",
+        timeout: 5000,
+        maxRedirects: 0,
+        maxContentLength: MAX_PASSPORT_BYTES,
+      });
+      return Buffer.from(response.data);
+    }
+
+    const filePath = path.join(uploadDir, path.basename(passport));
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  } catch (err) {
+    console.error("Passport load error:", err.message);
+    return null;
+  }
+}
+
+function drawPdfHeader(doc, title) {
+  doc.font("Helvetica-Bold").fontSize(16).text(INSTITUTION_NAME, { align: "center" });
+  doc.font("Helvetica").fontSize(12).text(title, { align: "center" });
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+  doc.moveDown(0.5);
+}
+
+// Draw a simple grid table, starting a new page (and repeating the header) when full.
+// columns: [{ header, key, width, align }]
+function drawPdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const rowHeight = 18;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - rowHeight;
+
+  const drawRow = (values, bold) => {
+    if (doc.y > bottom()) doc.addPage();
+    const y = doc.y;
+    let x = left;
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    columns.forEach((col, i) => {
+      doc.rect(x, y, col.width, rowHeight).stroke();
+      doc.text(String(values[i] ?? ""), x + 3, y + 5, { width: col.width - 6, height: rowHeight - 6, align: col.align || "left", lineBreak: false, ellipsis: true });
+      x += col.width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      drawRow(columns.map(c => c.header), true);
+    }
+    drawRow(columns.map(c => row[c.key]), false);
+  });
+}
+
+function drawSignatureLines(doc, labels) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+  doc.moveDown(3);
+  const left = doc.page.margins.left;
+  const width = (doc.page.width - left - doc.page.margins.right) / labels.length;
+  const y = doc.y;
+
+  labels.forEach((label, i) => {
+    const x = left + i * width;
+    doc.moveTo(x + 10, y).lineTo(x + width - 20, y).stroke();
+    doc.font("Helvetica").fontSize(9).text(label, x + 10, y + 4, { width: width - 30, align: "center" });
+  });
+  doc.x = left;
+}
+
+const formatMark = (value) => (value === null || value === undefined ? "" : Number(value).toFixed(2).replace(/\.00$/, ""));
+
+// ✅ Result slip for one student: ?matric=
+app.get("/api/results/slip", requireRole("examiner"), async (req, res) => {
+  const matric = String(req.query.matric || "").trim().toUpperCase();
+  if (!matric) {
+    return res.status(400).json({ message: "matric is required" });
+  }
+
+  try {
+    const student = await Student.findOne({ matric });
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+
+    const results = await Result.find({ studentMatric: matric }).sort({ courseCode: 1 });
+    if (!results.length) {
+      return res.status(404).json({ message: "No results found for this student" });
+    }
+
+    const exams = await Exam.find({}, "courseCode course");
+    const titles = new Map(exams.map(e => [String(e.courseCode).toUpperCase(), e.course]));
+    const [gpa] = await computeGpas(results);
+    const photo = await loadPassportImage(student.passport);
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    res.type("application/pdf");
+    res.attachment(`result-slip-${matric.replace(/[^\w-]+/g, "_")}.pdf`);
+    doc.pipe(res);
+
+    drawPdfHeader(doc, "Student Result Slip");
+
+    const photoX = doc.page.width - doc.page.margins.right - 90;
+    const top = doc.y;
+    if (photo) {
+      try {
+        doc.image(photo, photoX, top, { fit: [90, 100], align: "center" });
+      } catch (err) {
+        console.error("Passport render error:", err.message); // unsupported image format
+      }
+    }
+    doc.rect(photoX, top, 90, 100).stroke();
+
+    doc.font("Helvetica").fontSize(11);
+    [["Name", student.name], ["Matric No.", student.matric], ["Department", student.department], ["Level", student.level]]
+      .forEach(([label, value]) => {
+        doc.font("Helvetica-Bold").text(`${label}: `, doc.page.margins.left, doc.y, { continued: true })
+          .font("Helvetica").text(value || "");
+      });
+    doc.y = Math.max(doc.y, top + 110);
+
+    drawPdfTable(doc, [
+      { header: "Course Code", key: "courseCode", width: 80 },
+      { header: "Course Title", key: "course", width: 165 },
+      { header: "CA", key: "ca", width: 45, align: "right" },
+      { header: "Exam", key: "exam", width: 45, align: "right" },
+      { header: "Total", key: "total", width: 50, align: "right" },
+      { header: "Grade", key: "grade", width: 45, align: "center" },
+      { header: "GP", key: "gp", width: 40, align: "right" },
+    ], results.map(r => ({
+      courseCode: r.courseCode,
+      course: titles.get(String(r.courseCode).toUpperCase()) || "",
+      ca: r.caMissing ? "—" : formatMark(r.caScore),
+      exam: formatMark(r.score),
+      total: formatMark(r.totalScore),
+      grade: r.grade || "",
+      gp: formatMark(r.gradePoint),
+    })));
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text(`GPA: ${gpa ? gpa.gpa.toFixed(2) : "n/a"}`);
+    if (results.some(r => r.caMissing)) {
+      doc.font("Helvetica").fontSize(9).text("— CA record not yet received for this course.");
+    }
+    doc.font("Helvetica").fontSize(9).text(`Printed ${new Date().toLocaleString("en-GB")}`);
+
+    drawSignatureLines(doc, ["Head of Department", "Exams Officer"]);
+    doc.end();
+  } catch (err) {
+    console.error("Result slip error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to generate result slip" });
+  }
+});
+
+// ✅ Result broadsheet for one course: ?courseCode=
+app.get("/api/results/broadsheet", requireRole("examiner"), async (req, res) => {
+  const courseCode = String(req.query.courseCode || "").trim();
+  if (!courseCode) {
+    return res.status(400).json({ message: "courseCode is required" });
+  }
+
+  try {
+    const rows = await loadFilteredResults({ courseCode, department: req.query.department });
+    if (!rows.length) {
+      return res.status(404).json({ message: "No results found for this course" });
+    }
+
+    const exam = await Exam.findOne({ courseCode: matchCourseCode(courseCode) });
+    const [summary] = summarizeByCourse(rows.map(r => ({ ...r, courseCode: rows[0].courseCode })));
+
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 });
+    res.type("application/pdf");
+    res.attachment(`broadsheet-${courseCode.replace(/[^\w-]+/g, "_")}.pdf`);
+    doc.pipe(res);
+
+    drawPdfHeader(doc, `Course Result Broadsheet — ${rows[0].courseCode}${exam?.course ? ` (${exam.course})` : ""}`);
+    doc.font("Helvetica").fontSize(10).text(
+      `Candidates: ${summary.candidates}    Average: ${formatMark(summary.averageTotal)}    ` +
+      `Pass rate: ${summary.passRate === null ? "n/a" : `${(summary.passRate * 100).toFixed(1)}%`}    ` +
+      `Highest: ${formatMark(summary.highest)}    Lowest: ${formatMark(summary.lowest)}`
+    );
+    doc.moveDown(0.5);
+
+    drawPdfTable(doc, [
+      { header: "S/N", key: "sn", width: 32, align: "right" },
+      { header: "Name", key: "name", width: 170 },
+      { header: "Matric No.", key: "matric", width: 105 },
+      { header: "Department", key: "department", width: 150 },
+      { header: "CA", key: "ca", width: 45, align: "right" },
+      { header: "Exam", key: "exam", width: 45, align: "right" },
+      { header: "Total", key: "total", width: 50, align: "right" },
+      { header: "Grade", key: "grade", width: 45, align: "center" },
+      { header: "Remark", key: "remark", width: 60, align: "center" },
+    ], rows.map((r, i) => ({
+      sn: i + 1,
+      name: r.name,
+      matric: r.matric,
+      department: r.department,
+      ca: r.caMissing ? "—" : formatMark(r.caScore),
+      exam: formatMark(r.score),
+      total: formatMark(r.totalScore),
+      grade: r.grade || "",
+      remark: r.passed === null ? "" : (r.passed ? "PASS" : "FAIL"),
+    })));
+
+    drawSignatureLines(doc, ["Course Examiner", "Head of Department", "Exams Officer"]);
+    doc.end();
+  } catch (err) {
+    console.error("Broadsheet error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to generate broadsheet" });
+  }
+});
+
+// ✅ CONTINUOUS ASSESSMENT
+
+// Bring existing results in line with the CA records for the given matric/course pairs
+async function applyCaToResults(records) {
+  for (const { matric, courseCode, score } of records) {
+    const result = await Result.findOne({ studentMatric: matric, courseCode: matchCourseCode(courseCode) });
+    if (!result) continue;
+
+    result.caScore = score;
+    result.caMissing = false;
+    result.previousCaScore = undefined;
+    result.totalScore = roundMarks((result.score || 0) + score);
+    await applyGrade(result);
+    await result.save();
+  }
+}
+
+// Find results that have no CA record. Results written before CA import carry a random CA;
+// with apply it is dropped from the total and the result regraded, and the old CA is kept
+// in previousCaScore so the change can be reversed.
+async function flagResultsWithoutCa({ apply = false } = {}) {
+  const records = await CaScore.find({}, "matric courseCode");
+  const hasCa = new Set(records.map(r => `${r.matric}|${r.courseCode.toUpperCase()}`));
+
+  const rows = [];
+  for await (const result of Result.find({ caMissing: { $ne: true } }).cursor()) {
+    if (hasCa.has(`${result.studentMatric}|${String(result.courseCode).toUpperCase()}`)) continue;
+
+    rows.push({ matric: result.studentMatric, courseCode: result.courseCode, caScore: result.caScore, totalScore: result.totalScore });
+    if (!apply) continue;
+
+    result.previousCaScore = result.caScore;
+    result.caMissing = true;
+    result.caScore = 0;
+    result.totalScore = roundMarks(result.score || 0);
+    await applyGrade(result);
+    await result.save();
+  }
+  return rows;
+}
+
+// ✅ Flag every result that has no CA record. Dry run (report only) unless ?confirm=true.
+app.post("/api/ca/flag-missing", requireRole("examiner"), async (req, res) => {
+  try {
+    const confirm = req.query.confirm === "true";
+    const rows = await flagResultsWithoutCa({ apply: confirm });
+
+    if (!confirm) {
+      return res.json({ message: "Dry run — nothing was saved. Re-send with ?confirm=true to flag.", flagged: rows.length, rows });
+    }
+    res.json({ message: `${rows.length} result(s) flagged as missing CA`, flagged: rows.length, rows });
+  } catch (err) {
+    console.error("CA flag error:", err);
+    res.status(500).json({ message: "Failed to flag results without CA" });
+  }
+});
+
+// ✅ Undo flag-missing: put back the CA each flagged result had before it was dropped
+app.post("/api/ca/flag-missing/undo", requireRole("examiner"), async (req, res) => {
+  try {
+    let restored = 0;
+    for await (const result of Result.find({ caMissing: true, previousCaScore: { $ne: null } }).cursor()) {
+      result.caScore = result.previousCaScore;
+      result.previousCaScore = undefined;
+      result.caMissing = false;
+      result.totalScore = roundMarks((result.score || 0) + result.caScore);
+      await applyGrade(result);
+      await result.save();
+      restored++;
+    }
+    res.json({ message: `${restored} result(s) restored`, restored });
+  } catch (err) {
+    console.error("CA flag undo error:", err);
+    res.status(500).json({ message: "Failed to restore CA scores" });
+  }
+});
+
+// ✅ Upload CA scores from Excel/CSV. Columns: Matric | Course Code | CA Score.
+// The Course Code column can be left out when ?courseCode= is given.
+app.post("/api/ca/upload", requireRole("examiner"), memoryUpload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "Please upload a file." });
+  }
+
+  const ext = path.extname(req.file.originalname).toLowerCase();
+  if (![".xlsx", ".xls", ".csv"].includes(ext)) {
+    return res.status(400).json({ message: "Invalid file type. Please upload an Excel or CSV file." });
+  }
+
+  try {
+    const workbook = XLSX.read(req.file.buffer, { type: "buffer" });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: "" });
+    const maxCa = Number(req.query.maxScore) || CA_MAX_SCORE;
+
+    const accepted = [];
+    const rejected = [];
+    const seen = new Set();
+
+    rows.forEach((row, i) => {
+      const rowNumber = i + 2;
+      const matric = pickColumn(row, ["matric", "matric number", "matricNo"]).toUpperCase();
+      const courseCode = pickColumn(row, ["course code", "courseCode", "course"]) || String(req.query.courseCode || "").trim();
+      const rawScore = pickColumn(row, ["ca score", "caScore", "ca", "score"]);
+      const score = Number(rawScore);
+
+      if (!matric) return rejected.push({ row: rowNumber, error: "Missing matric." });
+      if (!courseCode) return rejected.push({ row: rowNumber, matric, error: "Missing course code." });
+      if (rawScore === "" || !Number.isFinite(score)) return rejected.push({ row: rowNumber, matric, error: "CA score is not a number." });
+      if (score < 0 || score > maxCa) return rejected.push({ row: rowNumber, matric, error: `CA score must be between 0 and ${maxCa}.` });
+
+      const key = `${matric}|${courseCode.toUpperCase()}`;
+      if (seen.has(key)) return rejected.push({ row: rowNumber, matric, error: "Duplicate row for this matric and course." });
+      seen.add(key);
+
+      accepted.push({ matric, courseCode, score });
+    });
+
+    if (accepted.length) {
+      await CaScore.bulkWrite(accepted.map(({ matric, courseCode, score }) => ({
+        updateOne: {
+          filter: { matric, courseCode: matchCourseCode(courseCode) },
+          update: { $set: { matric, courseCode, score, uploadedBy: req.admin._id, updatedAt: new Date() } },
+          upsert: true
+        }
+      })));
+      await applyCaToResults(accepted);
+    }
+
+    res.json({ message: `${accepted.length} CA score(s) saved`, saved: accepted.length, rejected });
+  } catch (err) {
+    console.error("CA upload error:", err);
+    res.status(500).json({ message: "Failed to upload CA scores" });
+  }
+});
+
+// ✅ List CA scores, optionally for one course
+app.get("/api/ca", requireRole("examiner"), async (req, res) => {
+  try {
+    const filter = req.query.courseCode ? { courseCode: matchCourseCode(req.query.courseCode) } : {};
+    const records = await CaScore.find(filter).sort({ courseCode: 1, matric: 1 });
+    res.json(records);
+  } catch (err) {
+    console.error("CA list error:", err);
+    res.status(500).json({ message: "Failed to fetch CA scores" });
+  }
+});
+
+// ✅ Results that have no CA record yet
+app.get("/api/ca/missing", requireRole("examiner"), async (req, res) => {
+  try {
+    const filter = { caMissing: true };
+    if (req.query.courseCode) filter.courseCode = matchCourseCode(req.query.courseCode);
+
+    const results = await Result.find(filter, "studentMatric courseCode score");
+    res.json(results.map(r => ({ matric: r.studentMatric, courseCode: r.courseCode, score: r.score })));
+  } catch (err) {
+    console.error("Missing CA error:", err);
+    res.status(500).json({ message: "Failed to fetch results without CA" });
+  }
+});
+
+// ✅ GRADING
+
+// NBTE polytechnic scale, used until an admin saves a policy
+const DEFAULT_GRADE_BANDS = [
+  { grade: "A", minScore: 75, gradePoint: 4.0 },
+  { grade: "AB", minScore: 70, gradePoint: 3.5 },
+  { grade: "B", minScore: 65, gradePoint: 3.25 },
+  { grade: "BC", minScore: 60, gradePoint: 3.0 },
+  { grade: "C", minScore: 55, gradePoint: 2.75 },
+  { grade: "CD", minScore: 50, gradePoint: 2.5 },
+  { grade: "D", minScore: 45, gradePoint: 2.25 },
+  { grade: "E", minScore: 40, gradePoint: 2.0 },
+  { grade: "F", minScore: 0, gradePoint: 0 },
+];
+const DEFAULT_PASS_MARK = 40;
+
+function validateGradeBands(bands) {
+  if (!Array.isArray(bands) || !bands.length) return "At least one grade band is required.";
+
+  for (const band of bands) {
+    if (!band.grade || !String(band.grade).trim()) return "Every band needs a grade.";
+    if (!Number.isFinite(Number(band.minScore)) || Number(band.minScore) < 0 || Number(band.minScore) > 100) {
+      return `Band ${band.grade}: minScore must be between 0 and 100.`;
+    }
+    if (!Number.isFinite(Number(band.gradePoint)) || Number(band.gradePoint) < 0) {
+      return `Band ${band.grade}: gradePoint must be zero or more.`;
+    }
+  }
+
+  const grades = bands.map(b => String(b.grade).trim().toUpperCase());
+  if (new Set(grades).size !== grades.length) return "Grades must be unique.";
+  if (!bands.some(b => Number(b.minScore) === 0)) return "One band must start at 0 so every score gets a grade.";
+  return null;
+}
+
+// Department policy first, then the institution-wide one, then the built-in scale
+async function findGradingPolicy(department) {
+  const policies = await GradingPolicy.find({ department: { $in: [department || null, null] } });
+  return policies.find(p => department && p.department === department) || policies.find(p => !p.department) || null;
+}
+
+function gradeFor(percentage, bands) {
+  const sorted = [...bands].sort((a, b) => b.minScore - a.minScore);
+  return sorted.find(b => percentage >= b.minScore) || sorted[sorted.length - 1];
+}
+
+// Fill in percentage, grade, grade point and pass/fail on a Result (not saved).
+// The percentage is taken over exam total + CA maximum.
+async function applyGrade(result, { exam, department } = {}) {
+  if (exam === undefined) exam = await Exam.findOne({ courseCode: matchCourseCode(result.courseCode) });
+  if (department === undefined) {
+    const student = await Student.findOne({ matric: result.studentMatric }, "department");
+    department = student?.department;
+  }
 
-// ✅ Get all access rules
-app.get("/api/admin/access-groups", async (req, res) => {
+  const policy = await findGradingPolicy(department);
+  const bands = policy?.bands?.length ? policy.bands : DEFAULT_GRADE_BANDS;
+  const passMark = exam?.passMark ?? policy?.passMark ?? DEFAULT_PASS_MARK;
+
+  const outOf = (result.total || 0) + CA_MAX_SCORE;
+  const percentage = outOf ? roundMarks(((result.totalScore || 0) / outOf) * 100) : 0;
+  const band = gradeFor(percentage, bands);
+
+  result.percentage = percentage;
+  result.grade = band.grade;
+  result.gradePoint = band.gradePoint;
+  result.passed = percentage >= passMark;
+  return result;
+}
+
+// GPA per student, weighted by each exam's credit units
+async function computeGpas(results) {
+  const exams = await Exam.find({}, "courseCode creditUnits");
+  const units = new Map(exams.map(e => [String(e.courseCode).toUpperCase(), e.creditUnits || 1]));
+
+  const byStudent = new Map();
+  results.forEach(r => {
+    if (r.gradePoint === undefined || r.gradePoint === null) return;
+    const entry = byStudent.get(r.studentMatric) || { matric: r.studentMatric, courses: 0, units: 0, points: 0 };
+    const cu = units.get(String(r.courseCode).toUpperCase()) || 1;
+    entry.courses++;
+    entry.units += cu;
+    entry.points += r.gradePoint * cu;
+    byStudent.set(r.studentMatric, entry);
+  });
+
+  return [...byStudent.values()].map(e => ({
+    matric: e.matric,
+    courses: e.courses,
+    creditUnits: e.units,
+    gpa: e.units ? roundMarks(e.points / e.units) : 0
+  }));
+}
+
+// Count of each grade, per course and overall
+function gradeDistribution(results) {
+  const overall = {};
+  const byCourse = {};
+
+  results.forEach(r => {
+    if (!r.grade) return;
+    overall[r.grade] = (overall[r.grade] || 0) + 1;
+    byCourse[r.courseCode] = byCourse[r.courseCode] || { total: 0, passed: 0, grades: {} };
+    byCourse[r.courseCode].total++;
+    if (r.passed) byCourse[r.courseCode].passed++;
+    byCourse[r.courseCode].grades[r.grade] = (byCourse[r.courseCode].grades[r.grade] || 0) + 1;
+  });
+
+  return { overall, byCourse };
+}
+
+// ✅ List grading policies (the built-in scale is shown when none are saved)
+app.get("/api/grading/policies", requireRole("examiner"), async (req, res) => {
   try {
-    const rules = await AllowedGroup.find();
-    res.json(rules);
+    const policies = await GradingPolicy.find().sort({ department: 1 });
+    res.json({ policies, defaults: { bands: DEFAULT_GRADE_BANDS, passMark: DEFAULT_PASS_MARK } });
   } catch (err) {
-    res.status(500).json({ message: "Failed to load access groups." });
+    console.error("Grading policy list error:", err);
+    res.status(500).json({ message: "Failed to load grading policies" });
   }
 });
 
-// ✅ Toggle global access control ON/OFF
-app.post("/api/admin/access-control-toggle", async (req, res) => {
-  const { enabled } = req.body;
+// ✅ Create or replace a grading policy. Leave department out for the institution-wide policy.
+app.put("/api/grading/policies", requireRole("super-admin"), async (req, res) => {
+  const { department = null, bands, passMark = DEFAULT_PASS_MARK } = req.body;
 
-  if (typeof enabled !== "boolean") {
-    return res.status(400).json({ message: "Invalid value for 'enabled'" });
+  const bandsError = validateGradeBands(bands);
+  if (bandsError) {
+    return res.status(400).json({ message: bandsError });
+  }
+  if (!(Number(passMark) >= 0 && Number(passMark) <= 100)) {
+    return res.status(400).json({ message: "passMark must be between 0 and 100." });
   }
 
   try {
-    await Settings.findOneAndUpdate(
-      { key: "globalAccessControl" },
-      { value: enabled },
+    const policy = await GradingPolicy.findOneAndUpdate(
+      { department: department || null },
+      {
+        department: department || null,
+        bands: bands.map(b => ({ grade: String(b.grade).trim().toUpperCase(), minScore: Number(b.minScore), gradePoint: Number(b.gradePoint) })),
+        passMark: Number(passMark),
+        updatedAt: new Date()
+      },
       { upsert: true, new: true }
     );
 
-    res.json({ message: `Global access control set to ${enabled ? "ON" : "OFF"}` });
+    res.json({ message: `Grading policy saved for ${department || "the institution"}. Run a recompute to update existing results.`, policy });
   } catch (err) {
-    console.error("Toggle error:", err);
-    res.status(500).json({ message: "Failed to update access control status." });
+    console.error("Grading policy save error:", err);
+    res.status(500).json({ message: "Failed to save grading policy" });
   }
 });
 
-// ✅ Get current global access control status
-app.get("/api/admin/access-control-toggle", async (req, res) => {
+app.delete("/api/grading/policies/:id", requireRole("super-admin"), async (req, res) => {
   try {
-    const setting = await Settings.findOne({ key: "globalAccessControl" });
-    res.json({ enabled: setting ? setting.value : true }); // Default: enabled
+    const policy = await GradingPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) return res.status(404).json({ message: "Policy not found" });
+    res.json({ message: "Grading policy deleted" });
   } catch (err) {
-    console.error("Fetch toggle error:", err);
-    res.status(500).json({ message: "Failed to retrieve toggle state." });
+    console.error("Grading policy delete error:", err);
+    res.status(500).json({ message: "Failed to delete grading policy" });
   }
 });
 
-// ✅ Upload Scheduled Students via Excel
-app.post("/api/schedule/upload", cors(), scheduleUpload.single("file"), async (req, res) => {
+// ✅ Set an exam's pass mark (percentage) and credit units
+app.put("/api/exams/:courseCode/grading", requireRole("examiner"), async (req, res) => {
+  const { passMark, creditUnits } = req.body;
+  const update = {};
+
+  if (passMark !== undefined) {
+    if (passMark !== null && !(Number(passMark) >= 0 && Number(passMark) <= 100)) {
+      return res.status(400).json({ message: "passMark must be between 0 and 100." });
+    }
+    update.passMark = passMark === null ? null : Number(passMark);
+  }
+  if (creditUnits !== undefined) {
+    if (!(Number(creditUnits) > 0)) {
+      return res.status(400).json({ message: "creditUnits must be greater than zero." });
+    }
+    update.creditUnits = Number(creditUnits);
+  }
+
   try {
-    const ext = path.extname(req.file.originalname);
-    if (![".xlsx", ".xls"].includes(ext)) {
-      return res.status(400).json({ message: "Invalid file type. Please upload an Excel file." });
+    const exam = await Exam.findOneAndUpdate({ courseCode: matchCourseCode(req.params.courseCode) }, update, { new: true });
+    if (!exam) return res.status(404).json({ message: "Exam not found" });
+    res.json({ message: "Exam grading settings updated", passMark: exam.passMark, creditUnits: exam.creditUnits });
+  } catch (err) {
+    console.error("Exam grading update error:", err);
+    res.status(500).json({ message: "Failed to update exam grading settings" });
+  }
+});
+
+// ✅ Re-apply grading to stored results (after a policy or pass mark change), optionally for one course
+app.post("/api/grading/recompute", requireRole("examiner"), async (req, res) => {
+  try {
+    const filter = req.body.courseCode ? { courseCode: matchCourseCode(req.body.courseCode) } : {};
+    const results = await Result.find(filter);
+    const exams = await Exam.find();
+    const students = await Student.find({}, "matric department");
+
+    const examByCode = new Map(exams.map(e => [String(e.courseCode).toUpperCase(), e]));
+    const deptByMatric = new Map(students.map(s => [s.matric, s.department]));
+
+    for (const result of results) {
+      await applyGrade(result, {
+        exam: examByCode.get(String(result.courseCode).toUpperCase()) || null,
+        department: deptByMatric.get(result.studentMatric) || null
+      });
+      await result.save();
     }
 
-    const workbook = XLSX.readFile(req.file.path);
-    const sheetName = workbook.SheetNames[0];
-    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    res.json({ message: `${results.length} result(s) regraded` });
+  } catch (err) {
+    console.error("Grading recompute error:", err);
+    res.status(500).json({ message: "Failed to recompute grades" });
+  }
+});
 
-    const bulkOps = data.map((row) => ({
-      updateOne: {
-        filter: { matric: row.matric },
-        update: {
-          name: row.name,
-          department: row.department,
-          level: row.level,
-          matric: row.matric
-        },
-        upsert: true
-      }
+// ✅ Grade distribution and GPA per student
+app.get("/api/results/summary", requireRole("examiner"), async (req, res) => {
+  try {
+    const results = await Result.find();
+    const students = await Student.find({}, "matric name department");
+    const byMatric = new Map(students.map(s => [s.matric, s]));
+
+    const gpas = (await computeGpas(results)).map(g => ({
+      ...g,
+      name: byMatric.get(g.matric)?.name || "Unknown",
+      department: byMatric.get(g.matric)?.department || "Unknown"
     }));
 
-    await ScheduledStudent.bulkWrite(bulkOps); 
+    res.json({ distribution: gradeDistribution(results), gpas });
+  } catch (err) {
+    console.error("Results summary error:", err);
+    res.status(500).json({ message: "Failed to build results summary" });
+  }
+});
+
+// ✅ REGRADING
+
+// Every Result field a regrade recomputes; a change in any of them is saved
+const REGRADED_FIELDS = ["score", "total", "rawScore", "rawTotal", "totalScore", "percentage", "grade", "gradePoint", "passed"];
+const regradeSummary = (r) => ({ score: r.score, total: r.total, totalScore: r.totalScore, grade: r.grade });
+
+// Rescore every stored submission for a course and update Result, recording what changed
+async function runRegradeJob(job) {
+  try {
+    const submissions = await Submission.find({ courseCode: matchCourseCode(job.courseCode) });
+    const changes = [];
+    let unchanged = 0;
+
+    for (const submission of submissions) {
+      const result = await Result.findOne({ studentMatric: submission.matric, courseCode: matchCourseCode(submission.courseCode) });
+      if (!result) continue;
+
+      const snapshot = () => Object.fromEntries(REGRADED_FIELDS.map(f => [f, result[f]]));
+      const previous = snapshot();
+      const { score, total, rawScore, rawTotal } = await scoreAnswers(submission.matric, submission.courseCode, submission.answers || {});
+
+      result.score = score;
+      result.total = total;
+      result.rawScore = rawScore;
+      result.rawTotal = rawTotal;
+      result.totalScore = roundMarks(score + (result.caScore || 0));
+      await applyGrade(result, { department: submission.department });
+
+      const current = snapshot();
+      if (REGRADED_FIELDS.every(f => previous[f] === current[f])) {
+        unchanged++;
+        continue;
+      }
 
-    res.json({ message: "Scheduled students uploaded successfully" });
+      await result.save();
+      changes.push({ matric: submission.matric, name: submission.name, before: regradeSummary(previous), after: regradeSummary(current) });
+    }
 
+    job.status = "completed";
+    job.changes = changes;
+    job.unchanged = unchanged;
   } catch (err) {
-    console.error("Excel Upload Error:", err.stack || err);
-    res.status(500).json({ message: "Failed to upload students" });
+    console.error("Regrade job error:", err);
+    job.status = "failed";
+    job.error = err.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+}
+
+// Start a regrade in the background and return the job so the caller can poll it
+async function startRegrade(courseCode, admin, questionId) {
+  const job = await RegradeJob.create({ courseCode, triggeredBy: admin._id, questionId });
+  runRegradeJob(job).catch(err => console.error("Regrade job crashed:", err));
+  return job;
+}
+
+// Keep stored papers pointing at option keys the question still has. Surviving options keep
+// their letter; new options take the letters of removed ones, then go at the end.
+async function syncPaperOptionOrders(question) {
+  const keys = CHOICE_TYPES.includes(question.type || 'single')
+    ? OPTION_KEYS.filter(key => question.options?.[key])
+    : [];
+
+  const papers = await ExamPaper.find({ "questions.questionId": question._id });
+  const ops = [];
+  papers.forEach(paper => {
+    const pq = paper.questions.find(q => String(q.questionId) === String(question._id));
+    const current = pq.optionOrder || [];
+    const added = keys.filter(key => !current.includes(key));
+    const order = current
+      .map(key => (keys.includes(key) ? key : added.shift()))
+      .filter(Boolean)
+      .concat(added);
+
+    if (order.join() !== current.join()) {
+      ops.push({
+        updateOne: {
+          filter: { _id: paper._id, "questions.questionId": question._id },
+          update: { $set: { "questions.$.optionOrder": order } }
+        }
+      });
+    }
+  });
+
+  if (ops.length) await ExamPaper.bulkWrite(ops);
+}
+
+// ✅ Edit a question. Any change to the key or marks triggers a regrade of the course.
+app.put("/api/questions/:id", requireRole("examiner"), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const merged = { ...question.toObject(), ...req.body };
+    const error = validateQuestion(merged);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = JSON.stringify(question.toObject());
+    const normalized = normalizeQuestion(merged);
+
+    // Clear fields from the previous type so they can't leak into scoring
+    ["options", "correctAnswer", "correctAnswers", "numericAnswer", "tolerance", "acceptedAnswers", "caseSensitive", "marks"]
+      .forEach(field => question.set(field, undefined));
+    question.set(normalized);
+    if (req.body.course) question.course = req.body.course;
+    await question.save();
+    await syncPaperOptionOrders(question);
+
+    const changed = before !== JSON.stringify(question.toObject());
+    const submissions = changed ? await Submission.countDocuments({ courseCode: matchCourseCode(question.courseCode) }) : 0;
+    const job = submissions ? await startRegrade(question.courseCode, req.admin, question._id) : null;
+
+    res.json({
+      message: job ? `Question updated. Regrading ${submissions} submission(s).` : "Question updated",
+      question,
+      regradeJobId: job?._id || null
+    });
+  } catch (err) {
+    console.error("Question update error:", err);
+    res.status(500).json({ message: "Failed to update question" });
   }
 });
 
-// Get list of scheduled students
-app.get("/api/schedule/list", async (req, res) => {
+// ✅ Regrade a course on demand (e.g. after changing its marking scheme)
+app.post("/api/exams/:courseCode/regrade", requireRole("examiner"), async (req, res) => {
   try {
-    const ScheduledStudent = mongoose.model("ScheduledStudent");
-    const students = await ScheduledStudent.find();
-    res.json(students);
+    const job = await startRegrade(decodeURIComponent(req.params.courseCode).trim(), req.admin);
+    res.status(202).json({ message: "Regrade started", regradeJobId: job._id });
   } catch (err) {
-    console.error("Failed to fetch scheduled list:", err);
-    res.status(500).json({ message: "Error fetching schedule list" });
+    console.error("Regrade start error:", err);
+    res.status(500).json({ message: "Failed to start regrade" });
   }
 });
 
-// Clear all scheduled students
-app.delete("/api/schedule/clear", async (req, res) => {
+// ✅ Regrade jobs, newest first (without the per-student diff)
+app.get("/api/regrade-jobs", requireRole("examiner"), async (req, res) => {
   try {
-    const ScheduledStudent = mongoose.model("ScheduledStudent");
-    await ScheduledStudent.deleteMany({});
-    res.json({ message: "Scheduled list cleared successfully." });
+    const filter = req.query.courseCode ? { courseCode: matchCourseCode(req.query.courseCode) } : {};
+    const jobs = await RegradeJob.find(filter).select("-changes").sort({ startedAt: -1 }).limit(50);
+    res.json(jobs);
   } catch (err) {
-    console.error("Error clearing scheduled list:", err);
-    res.status(500).json({ message: "Error clearing schedule list" });
+    console.error("Regrade job list error:", err);
+    res.status(500).json({ message: "Failed to load regrade jobs" });
   }
 });
 
-  // ✅ Get JSON results with full score details
-app.get("/api/results", async (req, res) => {
+// ✅ One regrade job with its before/after report
+app.get("/api/regrade-jobs/:id", requireRole("examiner"), async (req, res) => {
   try {
-    const results = await Result.find();
-    const students = await Student.find();
+    const job = await RegradeJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ message: "Regrade job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("Regrade job fetch error:", err);
+    res.status(500).json({ message: "Failed to load regrade job" });
+  }
+});
 
-    const enriched = results.map(result => {
-      const student = students.find(s => s.matric === result.studentMatric);
-      return {
-        name: student?.name || "Unknown",
-        matric: result.studentMatric,
-        department: student?.department || "Unknown",
-        courseCode: result.courseCode,
-        caScore: result.caScore || 0,
-        score: result.score,
-        totalScore: result.totalScore || (result.score || 0),
-      };
+// ✅ ITEM ANALYSIS
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// Classical test statistics for a course's questions.
+// Scores are unweighted item credits (0..1), read through each candidate's own paper
+// so option counts refer to the bank's option keys, not the shuffled letters.
+function analyzeItems(questions, submissions, papersByMatric) {
+  const items = new Map(questions.map(q => [String(q._id), {
+    question: q,
+    credits: new Map(), // matric -> credit
+    options: Object.fromEntries(presentOptionKeys(q.options).map(key => [key, 0])),
+    blank: 0,
+  }]));
+
+  const totals = new Map();
+
+  submissions.forEach(sub => {
+    const answers = sub.answers || {};
+    const paper = papersByMatric.get(sub.matric);
+    const presented = paper
+      ? paper.questions.map(pq => ({ id: String(pq.questionId), pq }))
+      : questions.map(q => ({ id: String(q._id), pq: null }));
+
+    let total = 0;
+    presented.forEach(({ id, pq }) => {
+      const item = items.get(id);
+      if (!item) return;
+
+      const answer = answers[id];
+      const credit = scoreQuestion(item.question, pq, answer);
+      item.credits.set(sub.matric, credit);
+      total += credit;
+
+      if (!isAnswered(answer)) {
+        item.blank++;
+      } else if (CHOICE_TYPES.includes(item.question.type || "single")) {
+        (Array.isArray(answer) ? answer : [answer]).forEach(letter => {
+          const key = pq ? toOriginalOptionKey(pq, letter) : String(letter).toLowerCase();
+          if (key in item.options) item.options[key]++;
+        });
+      }
+    });
+    totals.set(sub.matric, total);
+  });
+
+  // Upper and lower 27% of candidates by total score
+  const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([matric]) => matric);
+  const groupSize = Math.max(1, Math.round(ranked.length * 0.27));
+  const upper = new Set(ranked.slice(0, groupSize));
+  const lower = new Set(ranked.slice(-groupSize));
+
+  const report = [...items.values()].map(({ question, credits, options, blank }) => {
+    const all = [...credits.values()];
+    const upperCredits = [...credits].filter(([m]) => upper.has(m)).map(([, c]) => c);
+    const lowerCredits = [...credits].filter(([m]) => lower.has(m)).map(([, c]) => c);
+
+    const difficulty = all.length ? round3(mean(all)) : null;
+    const discrimination = upperCredits.length && lowerCredits.length
+      ? round3(mean(upperCredits) - mean(lowerCredits))
+      : null;
+
+    const flags = [];
+    if (difficulty !== null && difficulty > 0.9) flags.push("too easy");
+    if (difficulty !== null && difficulty < 0.2) flags.push("too hard");
+    if (discrimination !== null && discrimination < 0) flags.push("negative discrimination");
+    else if (discrimination !== null && discrimination < 0.2) flags.push("poor discrimination");
+
+    const correctKeys = question.type === "multi" ? question.correctAnswers : [String(question.correctAnswer).toLowerCase()];
+    const distractors = Object.entries(options).map(([key, count]) => ({
+      option: key,
+      text: question.options[key],
+      correct: correctKeys.includes(key),
+      count,
+      share: all.length ? round3(count / all.length) : 0,
+    }));
+
+    return {
+      questionId: question._id,
+      questionText: question.questionText,
+      type: question.type || "single",
+      candidates: all.length,
+      difficulty,
+      discrimination,
+      blank,
+      distractors,
+      flags,
+    };
+  });
+
+  // KR-20 over the items each candidate sat. With randomized papers, k is the average
+  // paper length and Σpq is scaled to match; partial-credit items use mean credit as p.
+  const scores = [...totals.values()];
+  const scoreMean = mean(scores);
+  const variance = mean(scores.map(s => (s - scoreMean) ** 2));
+  const seen = report.filter(r => r.candidates > 0);
+  const k = submissions.length ? mean(submissions.map(sub => papersByMatric.get(sub.matric)?.questions.length || questions.length)) : 0;
+  const sumPq = seen.length ? mean(seen.map(r => r.difficulty * (1 - r.difficulty))) * k : 0;
+  const kr20 = k > 1 && variance > 0 ? round3((k / (k - 1)) * (1 - sumPq / variance)) : null;
+
+  return {
+    summary: {
+      candidates: scores.length,
+      items: questions.length,
+      meanScore: round3(scoreMean),
+      standardDeviation: round3(Math.sqrt(variance)),
+      kr20,
+    },
+    items: report,
+  };
+}
+
+async function buildItemAnalysisWorkbook(courseCode, analysis) {
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [{ header: "Measure", key: "measure", width: 24 }, { header: "Value", key: "value", width: 14 }];
+  summary.addRows([
+    { measure: "Course", value: courseCode },
+    { measure: "Candidates", value: analysis.summary.candidates },
+    { measure: "Items", value: analysis.summary.items },
+    { measure: "Mean score", value: analysis.summary.meanScore },
+    { measure: "Standard deviation", value: analysis.summary.standardDeviation },
+    { measure: "KR-20", value: analysis.summary.kr20 ?? "n/a" },
+  ]);
+
+  const items = workbook.addWorksheet("Items");
+  items.columns = [
+    { header: "#", key: "n", width: 5 },
+    { header: "Question", key: "questionText", width: 60 },
+    { header: "Type", key: "type", width: 10 },
+    { header: "Candidates", key: "candidates", width: 11 },
+    { header: "Difficulty (p)", key: "difficulty", width: 13 },
+    { header: "Discrimination (D)", key: "discrimination", width: 17 },
+    { header: "Blank", key: "blank", width: 8 },
+    { header: "Flags", key: "flags", width: 30 },
+  ];
+  analysis.items.forEach((item, i) => items.addRow({ ...item, n: i + 1, flags: item.flags.join(", ") }));
+
+  const distractors = workbook.addWorksheet("Distractors");
+  distractors.columns = [
+    { header: "#", key: "n", width: 5 },
+    { header: "Option", key: "option", width: 8 },
+    { header: "Text", key: "text", width: 40 },
+    { header: "Correct", key: "correct", width: 9 },
+    { header: "Chosen", key: "count", width: 9 },
+    { header: "Share", key: "share", width: 9 },
+  ];
+  analysis.items.forEach((item, i) => item.distractors.forEach(d =>
+    distractors.addRow({ ...d, n: i + 1, option: d.option.toUpperCase(), correct: d.correct ? "YES" : "" })
+  ));
+
+  [summary, items, distractors].forEach(sheet => { sheet.getRow(1).font = { bold: true }; });
+  return workbook;
+}
+
+// ✅ Item analysis for an exam: JSON by default, ?format=xlsx for a workbook
+app.get("/api/exams/:courseCode/item-analysis", requireRole("examiner"), async (req, res) => {
+  try {
+    const courseCode = decodeURIComponent(req.params.courseCode).trim();
+    const [questions, submissions, papers] = await Promise.all([
+      Question.find({ courseCode: matchCourseCode(courseCode) }).sort({ _id: 1 }),
+      Submission.find({ courseCode: matchCourseCode(courseCode) }),
+      ExamPaper.find({ courseCode: matchCourseCode(courseCode) }),
+    ]);
+
+    if (!questions.length) {
+      return res.status(404).json({ message: "No questions found for this course." });
+    }
+
+    const analysis = analyzeItems(questions, submissions, new Map(papers.map(p => [p.matric, p])));
+
+    if (req.query.format === "xlsx") {
+      const workbook = await buildItemAnalysisWorkbook(courseCode, analysis);
+      res.attachment(`${courseCode.replace(/[^\w-]+/g, "_")}-item-analysis.xlsx`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({ courseCode, ...analysis });
+  } catch (err) {
+    console.error("Item analysis error:", err);
+    res.status(500).json({ message: "Failed to build item analysis" });
+  }
+});
+
+// ✅ Create an admin invite (super-admin only). The code is shown once and stored hashed.
+app.post('/api/admin/invites', requireRole("super-admin"), async (req, res) => {
+  const { role, expiresInHours = 72 } = req.body;
+  const hours = Number(expiresInHours);
+
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+    return res.status(400).json({ message: 'expiresInHours must be a number between 0 and 720' });
+  }
+
+  try {
+    const code = crypto.randomBytes(16).toString("hex");
+    const invite = await AdminInvite.create({
+      codeHash: hashSecret(code),
+      role,
+      createdBy: req.admin._id,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
     });
 
-    res.json(enriched);
+    res.status(201).json({ message: 'Invite created', inviteCode: code, role, expiresAt: invite.expiresAt });
   } catch (err) {
-    console.error("Failed to fetch results:", err);
-    res.status(500).json({ error: "Failed to fetch results" });
+    console.error('Invite error:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ✅ Download results with CA, Exam, and Total
-app.get("/api/results/download", async (req, res) => {
+// ✅ List admins and their roles (super-admin only)
+app.get('/api/admin/admins', requireRole("super-admin"), async (req, res) => {
   try {
-    const submissions = await Result.find();
-    const students = await Student.find();
+    const admins = await Admin.find().select("-password");
+    res.json(admins);
+  } catch (err) {
+    console.error('Admin list error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const records = submissions.map(sub => {
-      const student = students.find(s => s.matric === sub.studentMatric);
-      return {
-        Name: student?.name || "",
-        Matric: sub.studentMatric,
-        Department: student?.department || "",
-        CourseCode: sub.courseCode,
-        CAScore: sub.caScore || 0,
-        ExamScore: sub.score || 0,
-        TotalScore: sub.totalScore || (sub.score || 0),
-      };
-    });
+// ✅ Change an admin's role (super-admin only)
+app.patch('/api/admin/admins/:id/role', requireRole("super-admin"), async (req, res) => {
+  const { role } = req.body;
 
-    const filePath = path.join(__dirname, "results.csv");
-    const writer = csv.createObjectCsvWriter({
-      path: filePath,
-      header: [
-        { id: "Name", title: "Name" },
-        { id: "Matric", title: "Matric" },
-        { id: "Department", title: "Department" },
-        { id: "CourseCode", title: "Course Code" },
-        { id: "CAScore", title: "CA Score" },
-        { id: "ExamScore", title: "Exam Score" },
-        { id: "TotalScore", title: "Total Score" },
-      ],
-    });
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+  }
 
-    await writer.writeRecords(records);
+  try {
+    const admin = await Admin.findByIdAndUpdate(req.params.id, { role }, { new: true }).select("-password");
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
 
-    res.download(filePath, "results.csv", (err) => {
-      if (!err) fs.unlinkSync(filePath);
-    });
-  } catch (error) {
-    console.error("CSV download error:", error);
-    res.status(500).json({ error: "Failed to generate result CSV" });
+    res.json({ message: `${admin.username} is now ${role}`, admin });
+  } catch (err) {
+    console.error('Role update error:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin Registration Route
+// Admin Registration Route — requires an invite code, except for the very first
+// admin, who becomes the super-admin.
 app.post('/api/admin/register', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, inviteCode } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ message: 'All fields are required' });
@@ -930,67 +4949,318 @@ app.post('/api/admin/register', async (req, res) => {
       return res.status(400).json({ message: 'Username already exists' });
     }
 
-    const newAdmin = new Admin({ username, password });
-    await newAdmin.save();
+    let role = 'super-admin';
+    let invite = null;
+    let bootstrapped = false;
+
+    // Only one request can claim the bootstrap row, so two racing sign-ups on an
+    // empty database can't both become super-admin
+    if (await Admin.countDocuments() === 0) {
+      try {
+        await Settings.create({ key: "adminBootstrap", value: new Date() });
+        bootstrapped = true;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+
+    if (!bootstrapped) {
+      if (!inviteCode) {
+        return res.status(403).json({ message: 'Registration is by invite only' });
+      }
+
+      invite = await AdminInvite.findOneAndUpdate(
+        { codeHash: hashSecret(inviteCode), usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+      );
+      if (!invite) {
+        return res.status(403).json({ message: 'Invalid, used or expired invite code' });
+      }
+      role = invite.role;
+    }
+
+    const newAdmin = new Admin({
+      username,
+      password: await hashPassword(password),
+      role,
+      invitedBy: invite?.createdBy
+    });
+
+    try {
+      await newAdmin.save();
+    } catch (err) {
+      // Give back the invite (or the bootstrap slot) so a failed save doesn't use it up
+      if (invite) await AdminInvite.updateOne({ _id: invite._id }, { usedAt: null });
+      if (bootstrapped) await Settings.deleteOne({ key: "adminBootstrap" });
+      if (err.code === 11000) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+      throw err;
+    }
+
+    if (invite) {
+      invite.usedBy = newAdmin._id;
+      await invite.save();
+    }
 
-    res.status(201).json({ message: 'Admin registered successfully' });
+    res.status(201).json({ message: 'Admin registered successfully', role });
   } catch (err) {
     console.error('Registration error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin Login Route
-app.post('/api/admin/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
+// Admin Login Route
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const admin = await Admin.findOne({ username });
+    if (!admin || !(await verifyPassword(admin, password))) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const tokens = await issueAuthTokens(admin, "admin", admin.username);
+
+    res.json({
+      message: 'Login successful',
+      admin: { id: admin._id, username: admin.username, role: admin.role },
+      ...tokens
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Exchange a refresh token for a new token pair (rotates the refresh token)
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const session = await AuthSession.findOne({ refreshTokenHash: hashSecret(refreshToken) });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    session.refreshTokenHash = hashSecret(nextRefreshToken);
+    session.expiresAt = refreshTokenExpiry();
+    await session.save();
+
+    res.json({
+      accessToken: signAccessToken(session),
+      refreshToken: nextRefreshToken,
+      tokenType: "Bearer",
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Logout — revokes the current session so its tokens stop working
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await AuthSession.findByIdAndUpdate(req.auth.sessionId, { revokedAt: new Date() });
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Logout everywhere — revokes every session belonging to the caller
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const { modifiedCount } = await AuthSession.updateMany(
+      { userId: req.auth.userId, userType: req.auth.userType, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    res.json({ message: `Revoked ${modifiedCount} session(s)` });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+// ✅ PAYMENT PROVIDERS
+// Every provider exposes the same four calls, so routes never talk to a gateway directly:
+//   initialize({ email, amount })      -> { authorizationUrl, reference }
+//   verify(reference)                  -> { status, amount, email }   (amount in naira)
+//   parseWebhook(req)                  -> null if the signature is bad, else
+//                                         { eventId, event, reference, amount, email }
+//   createSplit({ name, subaccounts, bearerSubaccount }) -> { splitCode, raw }
+
+// "ACCT_a:70,ACCT_b:30" -> [{ subaccount: "ACCT_a", share: 70 }, ...]
+function parseSplitSubaccounts(value) {
+  return String(value || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [subaccount, share] = entry.split(":");
+      return { subaccount: subaccount.trim(), share: Number(share) };
+    })
+    .filter(s => s.subaccount && s.share > 0);
+}
+
+const SPLIT_SUBACCOUNTS = parseSplitSubaccounts(process.env.SPLIT_SUBACCOUNTS);
+const SPLIT_BEARER_SUBACCOUNT = process.env.SPLIT_BEARER_SUBACCOUNT || SPLIT_SUBACCOUNTS[0]?.subaccount;
+
+function createPaystackProvider({ secretKey }) {
+  const api = axios.create({
+    baseURL: 'https://api.paystack.co',
+    headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/json' },
+  });
+
+  return {
+    name: 'paystack',
+
+    async initialize({ email, amount }) {
+      const response = await api.post('/transaction/initialize', {
+        email,
+        amount: Math.round(amount * 100), // Paystack expects amount in kobo
+      });
+      const { authorization_url, reference } = response.data.data;
+      return { authorizationUrl: authorization_url, reference };
+    },
+
+    async verify(reference) {
+      const response = await api.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+      const { status, amount, customer } = response.data.data;
+      return { status, amount: amount / 100, email: customer?.email };
+    },
+
+    parseWebhook(req) {
+      const signature = req.headers['x-paystack-signature'];
+      if (!secretKey || !signature || !req.rawBody) return null;
+
+      const expected = crypto.createHmac('sha512', secretKey).update(req.rawBody).digest('hex');
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      if (!valid) return null;
+
+      const { event, data = {} } = req.body;
+      return {
+        eventId: data.id ? String(data.id) : crypto.createHash('sha256').update(req.rawBody).digest('hex'),
+        event,
+        reference: data.reference,
+        amount: data.amount / 100,
+        email: data.customer?.email,
+      };
+    },
+
+    async createSplit({ name, subaccounts, bearerSubaccount }) {
+      const response = await api.post('/split', {
+        name,
+        type: 'percentage',
+        currency: 'NGN',
+        subaccounts,
+        bearer_type: 'subaccount', // ✅ Subaccount bears the transaction fee
+        bearer_subaccount: bearerSubaccount,
+      });
+      return { splitCode: response.data.data.split_code, raw: response.data.data };
+    },
+  };
+}
+
+// Offline stand-in for development: payments live in memory and are completed
+// through /api/payment/mock/pay/:reference, which also fires the webhook flow.
+function createMockProvider({ secret = 'mock-secret' } = {}) {
+  const payments = new Map();
+
+  return {
+    name: 'mock',
+    secret,
+
+    async initialize({ email, amount }) {
+      const reference = `MOCK-${crypto.randomBytes(8).toString('hex')}`;
+      payments.set(reference, { email, amount, status: 'pending' });
+      return { authorizationUrl: `/api/payment/mock/checkout/${reference}`, reference };
+    },
+
+    async verify(reference) {
+      const payment = payments.get(reference);
+      if (!payment) return { status: 'failed' };
+      return { status: payment.status, amount: payment.amount, email: payment.email };
+    },
+
+    parseWebhook(req) {
+      const signature = req.headers['x-mock-signature'];
+      if (!signature || !req.rawBody) return null;
+
+      const expected = crypto.createHmac('sha512', secret).update(req.rawBody).digest('hex');
+      const valid = String(signature).length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(String(signature)), Buffer.from(expected));
+      if (!valid) return null;
+
+      const { event, data = {} } = req.body;
+      return {
+        eventId: data.id ? String(data.id) : crypto.createHash('sha256').update(req.rawBody).digest('hex'),
+        event,
+        reference: data.reference,
+        amount: data.amount,
+        email: data.email,
+      };
+    },
+
+    async createSplit({ name, subaccounts, bearerSubaccount }) {
+      const splitCode = `SPL_MOCK_${crypto.randomBytes(4).toString('hex')}`;
+      return { splitCode, raw: { name, subaccounts, bearerSubaccount, split_code: splitCode } };
+    },
+
+    // Mock only: mark a payment as paid and return the event a gateway would send
+    pay(reference, status = 'success') {
+      const payment = payments.get(reference);
+      if (!payment) return null;
+      payment.status = status;
+      return {
+        eventId: `${reference}:${status}`,
+        event: status === 'success' ? 'charge.success' : 'charge.failed',
+        reference,
+        amount: payment.amount,
+        email: payment.email,
+      };
+    },
+  };
+}
+
+const paymentProviders = {
+  paystack: () => createPaystackProvider({ secretKey: PAYSTACK_SECRET_KEY }),
+  mock: () => createMockProvider({ secret: process.env.MOCK_PAYMENT_SECRET }),
+};
 
-    const admin = await Admin.findOne({ username });
-    if (!admin || admin.password !== password) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+if (!paymentProviders[PAYMENT_PROVIDER]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}". Use one of: ${Object.keys(paymentProviders).join(', ')}`);
+}
+const paymentProvider = paymentProviders[PAYMENT_PROVIDER]();
 
-    res.json({
-      message: 'Login successful',
-      admin: { id: admin._id, username: admin.username }
-    });
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ message: 'Server error' });
+// ✅ Route to create a reusable split code from the configured subaccounts
+app.post('/api/split/create', requireRole("bursar"), async (req, res) => {
+  if (!SPLIT_SUBACCOUNTS.length) {
+    return res.status(400).json({ error: 'No split subaccounts configured (set SPLIT_SUBACCOUNTS)' });
   }
-});
 
-
-// ✅ Route to create a reusable Paystack split code
-app.post('/api/split/create', async (req, res) => {
   try {
-    const response = await axios.post(
-      'https://api.paystack.co/split',
-      {
-        name: 'CBT Token Split Group',
-        type: 'percentage',
-        currency: 'NGN',
-        subaccounts: [
-          {
-            subaccount: 'ACCT_370jqx88t6rgcz4',
-            share: 70
-          }
-        ],
-        bearer_type: 'subaccount', // ✅ Subaccount bears the transaction fee
-        bearer_subaccount: 'ACCT_370jqx88t6rgcz4'
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const { splitCode, raw } = await paymentProvider.createSplit({
+      name: req.body.name || 'CBT Token Split Group',
+      subaccounts: SPLIT_SUBACCOUNTS,
+      bearerSubaccount: SPLIT_BEARER_SUBACCOUNT,
+    });
 
     res.json({
       message: '✅ Split group created successfully',
-      split_code: response.data.data.split_code,
-      full_data: response.data.data
+      split_code: splitCode,
+      full_data: raw
     });
   } catch (error) {
     console.error("❌ Split creation error:", error.response?.data || error.message);
@@ -1028,34 +5298,23 @@ app.post('/api/split/create', async (req, res) => {
 //  }
 // });
 
-  // ✅ Initialize payment for Paystack popup (NO split_code)
+  // ✅ Initialize payment for the provider's popup (NO split_code)
 app.post('/api/payment/initialize', async (req, res) => {
-  const { email, amount } = req.body;
+  const { email, amount, purpose = 'any' } = req.body;
 
-  try {
-    // 🔹 Make request to Paystack initialize endpoint
-    const response = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
-        email,
-        amount: amount * 100, // Paystack expects amount in kobo
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `purpose must be one of: ${TOKEN_PURPOSES.join(', ')}` });
+  }
 
-    // 🔹 Destructure the required details
-    const { authorization_url, reference } = response.data.data;
+  try {
+    // 🔹 Ask the provider for a checkout
+    const { authorizationUrl, reference } = await paymentProvider.initialize({ email, amount });
 
     // 🔹 Save transaction in database
-    await Transaction.create({ email, amount, reference });
+    await Transaction.create({ email, amount, reference, provider: paymentProvider.name, purpose });
 
     // 🔹 Send data back to frontend
-    res.json({ authorization_url, reference });
+    res.json({ authorization_url: authorizationUrl, reference });
   } catch (error) {
     console.error("Init error details:", error.response?.data || error.message);
 
@@ -1066,56 +5325,282 @@ app.post('/api/payment/initialize', async (req, res) => {
   }
 });
 
+// ✅ REGISTRATION TOKENS
+// Codes look like CBT-7KQ2-M9XD-4: eight random Crockford base32 characters
+// (no I, L, O or U) and a Luhn mod 32 check character to catch typos.
+
+const TOKEN_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TOKEN_PATTERN = /^CBT-([0-9A-HJKMNP-TV-Z]{4})-([0-9A-HJKMNP-TV-Z]{4})-([0-9A-HJKMNP-TV-Z])$/;
+
+function tokenCheckCharacter(body) {
+  const n = TOKEN_ALPHABET.length;
+  let sum = 0;
+  let factor = 2;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * TOKEN_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return TOKEN_ALPHABET[(n - (sum % n)) % n];
+}
+
+function generateTokenCode() {
+  let body = "";
+  for (let i = 0; i < 8; i++) body += TOKEN_ALPHABET[crypto.randomInt(TOKEN_ALPHABET.length)];
+  return `CBT-${body.slice(0, 4)}-${body.slice(4)}-${tokenCheckCharacter(body)}`;
+}
+
+// Upper-cases the code and, for current-format codes, verifies the check character.
+// Older CBT-123456 codes have no check character and are passed through unchanged.
+function normalizeTokenCode(code) {
+  const value = String(code || "").trim().toUpperCase();
+  const match = value.match(TOKEN_PATTERN);
+  if (!match) return { code: value, malformed: !/^CBT-\d{6}$/.test(value) };
+  return { code: value, malformed: tokenCheckCharacter(match[1] + match[2]) !== match[3] };
+}
+
+const tokenExpired = (token) => !!token.expiresAt && token.expiresAt < new Date();
+
+// Create a token with a fresh code, retrying on the (unlikely) unique-index collision
+async function createTokenRecord(fields) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await Token.create({ ...fields, token: generateTokenCode(), createdAt: new Date() });
+    } catch (err) {
+      if (err.code !== 11000 || !err.keyPattern?.token) throw err;
+    }
+  }
+  throw new Error("Could not generate a unique token code");
+}
+
+// Look up a token that can still be used for `purpose`. Returns { token } or { error }.
+async function findUsableToken(code, purpose) {
+  const { code: normalized, malformed } = normalizeTokenCode(code);
+  if (malformed) return { error: "Token format is invalid. Please check for typos." };
+
+  const token = await Token.findOne({ token: normalized });
+  if (!token || token.status !== "success") return { error: "Invalid or already used token." };
+  if (tokenExpired(token)) return { error: "This token has expired." };
+  if (token.purpose && token.purpose !== "any" && token.purpose !== purpose) {
+    return { error: `This token is not valid for ${purpose.replace("-", " ")}.` };
+  }
+  return { token };
+}
+
+// Atomically mark a token used; returns null if another request used it first
+const claimToken = (token) => Token.findOneAndUpdate(
+  { _id: token._id, status: "success" },
+  { status: "used", usedAt: new Date() },
+  { new: true }
+);
+
+const releaseToken = (token) => Token.updateOne({ _id: token._id, status: "used" }, { status: "success", usedAt: null });
+
+const tokenExpiryFromNow = (days) => (Number(days) > 0 ? new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000) : null);
+
+// Older data can block the unique token indexes: codes from the old CBT- generator were
+// never checked for uniqueness, and a payment could end up with two tokens. Each index is
+// built only when its field has no duplicates; the rest are listed and left unbuilt so the
+// problem is loud, not silent.
+async function ensureTokenIndexes() {
+  const problems = [];
+  for (const [fields, indexOptions] of Token.schema.indexes()) {
+    const field = Object.keys(fields)[0];
+    const options = Object.fromEntries(Object.entries(indexOptions).filter(([key]) => !key.startsWith("_")));
+
+    if (options.unique) {
+      const duplicates = await Token.aggregate([
+        { $match: options.partialFilterExpression || {} },
+        { $group: { _id: `$${field}`, count: { $sum: 1 }, ids: { $push: "$_id" } } },
+        { $match: { count: { $gt: 1 } } },
+      ]);
+      if (duplicates.length) {
+        const list = duplicates.map(d => `  ${d._id}: ${d.ids.join(", ")}`).join("\n");
+        problems.push(`${duplicates.length} duplicate ${field} value(s), unique index on ${field} not built:\n${list}`);
+        continue;
+      }
+    }
+    await Token.collection.createIndex(fields, options);
+  }
+  if (problems.length) {
+    throw new Error(`Resolve these duplicate tokens, then restart:\n${problems.join("\n")}`);
+  }
+}
+
+// Issue the token for a successful transaction, or return the one already issued.
+// Safe to call from both the verify route and the webhook.
+async function issueTokenForTransaction(transaction) {
+  const existingToken = await Token.findOne({ reference: transaction.reference });
+  if (existingToken) return { token: existingToken, created: false };
+
+  try {
+    const token = await createTokenRecord({
+      studentEmail: transaction.email,
+      amount: transaction.amount,
+      reference: transaction.reference,
+      status: 'success',
+      source: 'payment',
+      purpose: transaction.purpose || 'any',
+      expiresAt: tokenExpiryFromNow(TOKEN_EXPIRY_DAYS),
+    });
+    return { token, created: true };
+  } catch (err) {
+    // The webhook and the verify route raced; the other one won
+    if (err.code === 11000 && err.keyPattern?.reference) {
+      return { token: await Token.findOne({ reference: transaction.reference }), created: false };
+    }
+    throw err;
+  }
+}
+
+// Why a paid amount can't buy the token, or null if it can. The webhook, the verify
+// route and reconciliation repairs all go through this.
+function paidAmountProblem(transaction, paidAmount) {
+  if (Math.round(Number(paidAmount) * 100) !== Math.round((transaction.amount || 0) * 100)) {
+    return `Provider reports ${paidAmount} paid, transaction was for ${transaction.amount}`;
+  }
+  if (TOKEN_PRICE && Number(paidAmount) < TOKEN_PRICE) {
+    return `Paid amount ${paidAmount} is below the token price ${TOKEN_PRICE}`;
+  }
+  return null;
+}
+
+// Apply a parsed webhook event once. Returns a short description of what happened.
+async function handlePaymentEvent(providerName, parsed) {
+  const eventKey = `${parsed.event}:${parsed.eventId}`;
+
+  try {
+    await WebhookEvent.create({ provider: providerName, eventKey, event: parsed.event, reference: parsed.reference });
+  } catch (err) {
+    if (err.code === 11000) return 'Event already processed';
+    throw err;
+  }
+
+  try {
+    if (parsed.event !== 'charge.success') {
+      return 'Event ignored';
+    }
+
+    let transaction = await Transaction.findOne({ reference: parsed.reference });
+
+    if (!transaction) {
+      // The frontend never saved it (tab closed before /initialize returned)
+      transaction = await Transaction.create({
+        email: parsed.email,
+        amount: parsed.amount,
+        reference: parsed.reference,
+        provider: providerName,
+      });
+    }
+
+    const amountProblem = paidAmountProblem(transaction, parsed.amount);
+    if (amountProblem) {
+      console.error(`❌ Webhook amount mismatch for ${parsed.reference}: ${amountProblem}`);
+      transaction.status = 'amount-mismatch';
+      await transaction.save();
+      return 'Amount mismatch recorded';
+    }
+
+    transaction.status = 'success';
+    await transaction.save();
+
+    const { created } = await issueTokenForTransaction(transaction);
+    return created ? 'Token issued' : 'Token already issued';
+  } catch (err) {
+    // Drop the event record so the provider's retry isn't treated as a replay
+    await WebhookEvent.deleteOne({ eventKey }).catch(() => {});
+    throw err;
+  }
+}
+
+// ✅ Payment webhook — the provider checks the signature (Paystack: HMAC-SHA512 of the raw body)
+app.post('/api/payment/webhook', async (req, res) => {
+  const parsed = paymentProvider.parseWebhook(req);
+
+  if (!parsed) {
+    return res.status(401).json({ message: 'Invalid signature' });
+  }
+
+  try {
+    res.json({ message: await handlePaymentEvent(paymentProvider.name, parsed) });
+  } catch (err) {
+    console.error('Webhook error:', err);
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+});
+
+// ✅ Mock provider only: a checkout "page" and the button that pays it
+if (paymentProvider.name === 'mock') {
+  app.get('/api/payment/mock/checkout/:reference', async (req, res) => {
+    const { status } = await paymentProvider.verify(req.params.reference);
+    res.json({
+      reference: req.params.reference,
+      status,
+      pay: `POST /api/payment/mock/pay/${req.params.reference}`,
+    });
+  });
+
+  // Body: { status: "success" | "failed" } (default success)
+  app.post('/api/payment/mock/pay/:reference', async (req, res) => {
+    const parsed = paymentProvider.pay(req.params.reference, req.body.status || 'success');
+    if (!parsed) {
+      return res.status(404).json({ message: 'Unknown mock reference' });
+    }
+
+    try {
+      res.json({ message: await handlePaymentEvent(paymentProvider.name, parsed), reference: parsed.reference });
+    } catch (err) {
+      console.error('Mock payment error:', err);
+      res.status(500).json({ message: 'Mock payment failed' });
+    }
+  });
+}
+
 // ✅ Verify payment and generate token
 app.get('/api/payment/verify/:reference', async (req, res) => {
   const { reference } = req.params;
 
   try {
-    const response = await axios.get(`https://api.paystack.co/transaction/verify/${reference}`, {
-      headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}` },
-    });
-
-    const status = response.data.data.status;
+    const { status, amount } = await paymentProvider.verify(reference);
 
-    const transaction = await Transaction.findOneAndUpdate(
-      { reference },
-      { status },
-      { new: true }
-    );
+    const transaction = await Transaction.findOne({ reference });
 
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    // Final once recorded; only reconciliation can clear it
+    if (transaction.status === 'amount-mismatch') {
+      return res.status(409).json({ message: 'Paid amount does not match this transaction. Contact the bursar.' });
+    }
+
     if (status === 'success') {
-      const existingToken = await Token.findOne({ reference });
-      if (existingToken) {
-        return res.json({
-          message: 'Payment already verified, token exists',
-          token: existingToken.token,
-          transaction,
-        });
+      const amountProblem = paidAmountProblem(transaction, amount);
+      if (amountProblem) {
+        console.error(`❌ Verify amount mismatch for ${reference}: ${amountProblem}`);
+        transaction.status = 'amount-mismatch';
+        await transaction.save();
+        return res.status(409).json({ message: 'Paid amount does not match this transaction. Contact the bursar.' });
       }
 
-      const tokenCode = 'CBT-' + Math.floor(100000 + Math.random() * 900000);
-
-      const newToken = new Token({
-        token: tokenCode,
-        studentEmail: transaction.email,
-        amount: transaction.amount,
-        reference,
-        status: 'success',
-        createdAt: new Date()
-      });
-
-      await newToken.save();
+      transaction.status = 'success';
+      await transaction.save();
+      const { token, created } = await issueTokenForTransaction(transaction);
 
       return res.json({
-        message: 'Payment verified and token issued',
-        token: tokenCode,
+        message: created ? 'Payment verified and token issued' : 'Payment already verified, token exists',
+        token: token.token,
         transaction,
       });
     } else {
+      // A late failed/pending answer doesn't undo a payment already confirmed
+      if (transaction.status !== 'success') {
+        transaction.status = status;
+        await transaction.save();
+      }
       return res.status(400).json({ message: 'Payment not successful', status });
     }
   } catch (error) {
@@ -1142,7 +5627,7 @@ app.post('/api/tokens/check-email', async (req, res) => {
 });
 
 // ✅ Save transaction manually
-app.post('/api/transactions/save', async (req, res) => {
+app.post('/api/transactions/save', requireRole("bursar"), async (req, res) => {
   const { email, amount, reference } = req.body;
 
   try {
@@ -1159,36 +5644,116 @@ app.post('/api/transactions/save', async (req, res) => {
 
 
 // ✅ Generate token manually without payment
-app.post('/api/tokens/generate/manual', async (req, res) => {
-  const { email } = req.body;
+app.post('/api/tokens/generate/manual', requireRole("bursar"), async (req, res) => {
+  const { email, purpose = 'any' } = req.body;
 
   if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
     return res.status(400).json({ message: "Invalid email" });
   }
 
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ message: `purpose must be one of: ${TOKEN_PURPOSES.join(', ')}` });
+  }
+
   const count = await Token.countDocuments({ studentEmail: email, source: 'manual' });
 
   if (count >= 2) {
     return res.status(403).json({ message: "This email has already generated 2 tokens." });
   }
 
-  const tokenCode = 'CBT-' + Math.floor(100000 + Math.random() * 900000);
-
-  const newToken = new Token({
+  const newToken = await createTokenRecord({
     studentEmail: email,
-    token: tokenCode,
     source: 'manual',
     status: 'success',
-    createdAt: new Date()
+    purpose,
   });
 
-  await newToken.save();
+  res.json({ token: newToken.token });
+});
+
+// ✅ Mint a batch of tokens for a school-paid cohort.
+// Body: { count, purpose, expiresAt?, label? }
+app.post('/api/tokens/batch', requireRole("bursar"), async (req, res) => {
+  const { count, purpose = 'student-registration', expiresAt, label } = req.body;
+  const total = Number(count);
+
+  if (!Number.isInteger(total) || total < 1 || total > MAX_TOKEN_BATCH) {
+    return res.status(400).json({ message: `count must be a whole number from 1 to ${MAX_TOKEN_BATCH}` });
+  }
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ message: `purpose must be one of: ${TOKEN_PURPOSES.join(', ')}` });
+  }
+  if (expiresAt && (isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt) <= new Date())) {
+    return res.status(400).json({ message: "expiresAt must be a future date" });
+  }
+
+  try {
+    const batchId = `B-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const tokens = [];
+
+    for (let i = 0; i < total; i++) {
+      tokens.push(await createTokenRecord({
+        source: 'batch',
+        status: 'success',
+        purpose,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        batchId,
+        batchLabel: label,
+      }));
+    }
+
+    res.status(201).json({
+      message: `${tokens.length} token(s) created`,
+      batchId,
+      export: `/api/tokens/batch/${batchId}/export`,
+      tokens: tokens.map(t => t.token)
+    });
+  } catch (err) {
+    console.error("Token batch error:", err);
+    res.status(500).json({ message: "Failed to create token batch" });
+  }
+});
+
+// ✅ Download a token batch as an Excel sheet
+app.get('/api/tokens/batch/:batchId/export', requireRole("bursar"), async (req, res) => {
+  try {
+    const tokens = await Token.find({ batchId: req.params.batchId }).sort({ createdAt: 1 });
+    if (!tokens.length) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Tokens");
+    sheet.columns = [
+      { header: "S/N", key: "sn", width: 6 },
+      { header: "Token", key: "token", width: 20 },
+      { header: "Purpose", key: "purpose", width: 22 },
+      { header: "Status", key: "status", width: 10 },
+      { header: "Expires", key: "expiresAt", width: 14, style: { numFmt: "yyyy-mm-dd" } },
+      { header: "Batch", key: "batchLabel", width: 24 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    tokens.forEach((t, i) => sheet.addRow({
+      sn: i + 1,
+      token: t.token,
+      purpose: t.purpose,
+      status: tokenExpired(t) && t.status === 'success' ? 'expired' : t.status,
+      expiresAt: t.expiresAt,
+      batchLabel: t.batchLabel || t.batchId,
+    }));
 
-  res.json({ token: tokenCode });
+    res.attachment(`tokens-${req.params.batchId}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error("Token batch export error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to export token batch" });
+  }
 });
 
 // ✅ Get all tokens
-app.get('/api/tokens', async (req, res) => {
+app.get('/api/tokens', requireRole("bursar"), async (req, res) => {
   try {
     const tokens = await Token.find().sort({ createdAt: -1 });
     res.json(tokens);
@@ -1198,11 +5763,17 @@ app.get('/api/tokens', async (req, res) => {
 });
 
 // ✅ Validate token route
+// Optional ?purpose=student-registration|public-registration
 app.get('/api/tokens/validate/:token', async (req, res) => {
-  const { token } = req.params;
+  const { code, malformed } = normalizeTokenCode(req.params.token);
+  const { purpose } = req.query;
+
+  if (malformed) {
+    return res.status(400).json({ valid: false, message: "Token format is invalid. Please check for typos." });
+  }
 
   try {
-    const found = await Token.findOne({ token });
+    const found = await Token.findOne({ token: code });
 
     if (!found) {
       return res.status(404).json({ valid: false, message: "Token not found." });
@@ -1212,7 +5783,15 @@ app.get('/api/tokens/validate/:token', async (req, res) => {
       return res.status(400).json({ valid: false, message: "Token is not valid or already used." });
     }
 
-    return res.json({ valid: true });
+    if (tokenExpired(found)) {
+      return res.status(400).json({ valid: false, message: "This token has expired." });
+    }
+
+    if (purpose && found.purpose !== 'any' && found.purpose !== purpose) {
+      return res.status(400).json({ valid: false, message: `This token is for ${found.purpose.replace("-", " ")}.` });
+    }
+
+    return res.json({ valid: true, purpose: found.purpose, expiresAt: found.expiresAt });
   } catch (err) {
     console.error("Token validation error:", err.message);
     res.status(500).json({ valid: false, message: "Server error." });
@@ -1220,6 +5799,315 @@ app.get('/api/tokens/validate/:token', async (req, res) => {
 });
 
 
+// ✅ PAYMENT RECONCILIATION
+
+// A repair that can't go ahead (as opposed to one that crashed)
+const repairRefused = (message) => Object.assign(new Error(message), { status: 409 });
+
+// Ask the provider whether the payment really went through for the full amount
+async function confirmPaidAmount(transaction) {
+  const { status, amount } = await paymentProvider.verify(transaction.reference);
+  if (status !== 'success') throw repairRefused(`Provider reports ${status}, not success`);
+  const amountProblem = paidAmountProblem(transaction, amount);
+  if (amountProblem) throw repairRefused(amountProblem);
+}
+
+const RECONCILIATION_REPAIRS = {
+  // Paid (or the provider now says paid) but no token was issued
+  'paid-without-token': async (finding) => {
+    const existing = await Transaction.findOne({ reference: finding.reference });
+    if (!existing) throw repairRefused('Transaction no longer exists');
+    await confirmPaidAmount(existing);
+
+    const transaction = await Transaction.findOneAndUpdate({ _id: existing._id }, { status: 'success' }, { new: true });
+    const { token } = await issueTokenForTransaction(transaction);
+    return `Issued token ${token.token}`;
+  },
+  // A payment token whose transaction record is missing — recreate the record from the token
+  'token-without-transaction': async (finding) => {
+    const token = await Token.findById(finding.tokenId);
+    if (!token) throw new Error('Token no longer exists');
+    await Transaction.updateOne(
+      { reference: token.reference },
+      { $setOnInsert: { email: token.studentEmail, amount: token.amount, reference: token.reference, status: 'success', createdAt: token.createdAt } },
+      { upsert: true }
+    );
+    return 'Transaction record recreated from token';
+  },
+  // Still pending locally but the provider has a final answer
+  'pending-resolved': async (finding) => {
+    await Transaction.updateOne({ reference: finding.reference }, { status: finding.providerStatus });
+    return `Transaction marked ${finding.providerStatus}`;
+  },
+  // Pending too long: ask the provider again and apply what it says
+  'stale-pending': async (finding) => {
+    const { status } = await paymentProvider.verify(finding.reference);
+    if (status === 'pending' || status === 'ongoing') return 'Provider still reports pending';
+
+    if (status !== 'success') {
+      await Transaction.updateOne({ reference: finding.reference }, { status });
+      return `Transaction marked ${status}`;
+    }
+
+    const existing = await Transaction.findOne({ reference: finding.reference });
+    if (!existing) throw repairRefused('Transaction no longer exists');
+    await confirmPaidAmount(existing);
+    const transaction = await Transaction.findOneAndUpdate({ _id: existing._id }, { status: 'success' }, { new: true });
+    const { token } = await issueTokenForTransaction(transaction);
+    return `Payment confirmed, token ${token.token} issued`;
+  },
+};
+
+// Cross-check Transaction and Token by reference and classify every mismatch.
+// With requery, stale pending references are checked with the provider first.
+async function runReconciliation({ requery = false, admin } = {}) {
+  const run = await ReconciliationRun.create({ requery, triggeredBy: admin?._id });
+
+  try {
+    const [transactions, tokens] = await Promise.all([
+      Transaction.find(),
+      Token.find({ reference: { $type: 'string' } }),
+    ]);
+    const tokenByRef = new Map(tokens.map(t => [t.reference, t]));
+    const txByRef = new Map(transactions.map(t => [t.reference, t]));
+    const staleBefore = new Date(Date.now() - STALE_PENDING_HOURS * 60 * 60 * 1000);
+
+    const findings = [];
+    let requeried = 0;
+
+    for (const tx of transactions) {
+      const token = tokenByRef.get(tx.reference);
+      const base = { reference: tx.reference, transactionId: tx._id, tokenId: token?._id, email: tx.email, amount: tx.amount };
+      // Everything wrong with this transaction, most actionable first; reported as one finding
+      const issues = [];
+
+      if (tx.status === 'pending' && tx.createdAt < staleBefore) {
+        if (requery && requeried < MAX_RECONCILIATION_REQUERIES) {
+          requeried++;
+          try {
+            const { status } = await paymentProvider.verify(tx.reference);
+            if (status === 'success') {
+              issues.push({ type: 'paid-without-token', providerStatus: status, details: 'Pending locally, provider reports success' });
+            } else if (status !== 'pending' && status !== 'ongoing') {
+              issues.push({ type: 'pending-resolved', providerStatus: status, details: `Pending locally, provider reports ${status}` });
+            } else {
+              issues.push({ type: 'stale-pending', providerStatus: status, details: 'Provider still reports pending' });
+            }
+          } catch (err) {
+            issues.push({ type: 'stale-pending', details: `Provider lookup failed: ${err.response?.data?.message || err.message}` });
+          }
+        } else {
+          issues.push({ type: 'stale-pending', details: `Pending since ${tx.createdAt.toISOString()}` });
+        }
+      }
+
+      if (tx.status === 'success' && !token) {
+        issues.push({ type: 'paid-without-token', details: 'Transaction succeeded but no token was issued' });
+      } else if (tx.status !== 'success' && token) {
+        issues.push({ type: 'token-on-unpaid-transaction', details: `Token ${token.token} issued but transaction is ${tx.status}` });
+      }
+
+      if (token && Math.round((token.amount || 0) * 100) !== Math.round((tx.amount || 0) * 100)) {
+        issues.push({ type: 'amount-mismatch', details: `Token amount ${token.amount}, transaction amount ${tx.amount}` });
+      }
+      if (tx.status === 'amount-mismatch') {
+        issues.push({ type: 'amount-mismatch', details: 'Provider reported a different amount from the one initialized' });
+      }
+
+      if (issues.length) {
+        findings.push({ ...base, ...issues[0], details: issues.map(i => i.details).join('; ') });
+      }
+    }
+
+    tokens.forEach(token => {
+      if (token.source === 'payment' && !txByRef.has(token.reference)) {
+        findings.push({
+          type: 'token-without-transaction',
+          reference: token.reference,
+          tokenId: token._id,
+          email: token.studentEmail,
+          amount: token.amount,
+          details: `Token ${token.token} has no transaction record`
+        });
+      }
+    });
+
+    run.findings = findings.map(f => ({ ...f, repairable: !!RECONCILIATION_REPAIRS[f.type] }));
+    run.summary = findings.reduce((counts, f) => ({ ...counts, [f.type]: (counts[f.type] || 0) + 1 }), {});
+    run.checked = { transactions: transactions.length, tokens: tokens.length, requeried };
+    run.status = 'completed';
+  } catch (err) {
+    console.error("Reconciliation error:", err);
+    run.status = 'failed';
+    run.error = err.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+}
+
+function startScheduledReconciliation() {
+  if (RECONCILIATION_INTERVAL_HOURS <= 0) return;
+  setInterval(() => {
+    runReconciliation({ requery: true })
+      .then(run => console.log(`🧾 Reconciliation: ${run.findings.length} finding(s)`))
+      .catch(err => console.error("Scheduled reconciliation error:", err));
+  }, RECONCILIATION_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
+// ✅ Run a reconciliation now. Body: { requery: true } to re-check stale pending payments with the provider
+app.post('/api/reconciliation/run', requireRole("bursar"), async (req, res) => {
+  try {
+    const run = await runReconciliation({ requery: !!req.body.requery, admin: req.admin });
+    res.status(run.status === 'completed' ? 200 : 500).json(run);
+  } catch (err) {
+    console.error("Reconciliation run error:", err);
+    res.status(500).json({ message: "Reconciliation failed" });
+  }
+});
+
+// ✅ Past reconciliation runs (without findings)
+app.get('/api/reconciliation/runs', requireRole("bursar"), async (req, res) => {
+  try {
+    const runs = await ReconciliationRun.find().select("-findings").sort({ startedAt: -1 }).limit(50);
+    res.json(runs);
+  } catch (err) {
+    console.error("Reconciliation list error:", err);
+    res.status(500).json({ message: "Failed to load reconciliation runs" });
+  }
+});
+
+app.get('/api/reconciliation/runs/:id', requireRole("bursar"), async (req, res) => {
+  try {
+    const run = await ReconciliationRun.findById(req.params.id);
+    if (!run) return res.status(404).json({ message: "Reconciliation run not found" });
+    res.json(run);
+  } catch (err) {
+    console.error("Reconciliation fetch error:", err);
+    res.status(500).json({ message: "Failed to load reconciliation run" });
+  }
+});
+
+// ✅ One-click repair of a single finding
+app.post('/api/reconciliation/runs/:id/findings/:findingId/repair', requireRole("bursar"), async (req, res) => {
+  try {
+    const run = await ReconciliationRun.findById(req.params.id);
+    const finding = run?.findings.id(req.params.findingId);
+    if (!finding) {
+      return res.status(404).json({ message: "Finding not found" });
+    }
+    if (finding.repairedAt) {
+      return res.status(409).json({ message: "Finding already repaired", outcome: finding.outcome });
+    }
+
+    const repair = RECONCILIATION_REPAIRS[finding.type];
+    if (!repair) {
+      return res.status(400).json({ message: `Findings of type ${finding.type} need manual review` });
+    }
+
+    finding.outcome = await repair(finding);
+    finding.repairedAt = new Date();
+    finding.repairedBy = req.admin._id;
+    await run.save();
+
+    res.json({ message: "Repaired", outcome: finding.outcome, finding });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Reconciliation repair error:", err);
+    res.status(500).json({ message: "Repair failed", error: err.message });
+  }
+});
+
+const isBareDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Offset (ms) of a time zone from UTC at a given instant
+function zoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(instant).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts on a YYYY-MM-DD day (plus `addDays`) in a time zone
+function startOfZonedDay(day, timeZone, addDays = 0) {
+  const [y, m, d] = day.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d + addDays);
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone);
+  // Re-check in case the offset changes between the guess and the answer (DST)
+  return new Date(guess - zoneOffsetMs(new Date(first), timeZone));
+}
+
+// ✅ Daily revenue from successful transactions: ?from=&to=&format=json|csv|xlsx
+app.get('/api/reconciliation/revenue', requireRole("bursar"), async (req, res) => {
+  const { from, to, format = 'json' } = req.query;
+  if (invalidDate(from) || invalidDate(to)) {
+    return res.status(400).json({ message: "from/to must be valid dates" });
+  }
+
+  try {
+    const match = { status: 'success' };
+    if (from || to) {
+      match.createdAt = {};
+      // Bare dates are days in REPORT_TIMEZONE, the same days the report groups by
+      if (from) match.createdAt.$gte = isBareDate(from) ? startOfZonedDay(from, REPORT_TIMEZONE) : new Date(from);
+      if (to) {
+        match.createdAt.$lte = isBareDate(to)
+          ? new Date(startOfZonedDay(to, REPORT_TIMEZONE, 1).getTime() - 1)
+          : new Date(to);
+      }
+    }
+
+    const days = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: REPORT_TIMEZONE } },
+          transactions: { $sum: 1 },
+          revenue: { $sum: "$amount" },
+        }
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const rows = days.map(d => ({ date: d._id, transactions: d.transactions, revenue: d.revenue }));
+    const totals = { transactions: rows.reduce((n, r) => n + r.transactions, 0), revenue: rows.reduce((n, r) => n + r.revenue, 0) };
+
+    if (format === 'csv') {
+      res.header("Content-Type", "text/csv");
+      res.attachment("daily-revenue.csv");
+      return res.send(new Parser({ fields: ["date", "transactions", "revenue"] }).parse(rows));
+    }
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet("Daily Revenue");
+      sheet.columns = [
+        { header: "Date", key: "date", width: 14 },
+        { header: "Transactions", key: "transactions", width: 14 },
+        { header: "Revenue (₦)", key: "revenue", width: 16, style: { numFmt: "#,##0.00" } },
+      ];
+      sheet.getRow(1).font = { bold: true };
+      sheet.addRows(rows);
+      sheet.addRow({ date: "Total", ...totals }).font = { bold: true };
+
+      res.attachment("daily-revenue.xlsx");
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({ days: rows, totals });
+  } catch (err) {
+    console.error("Revenue summary error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to build revenue summary" });
+  }
+});
+
 // =======================
 // Public Registration Route
 // =======================
@@ -1239,9 +6127,9 @@ app.post("/api/public/register", upload.single("passport"), async (req, res) =>
     }
 
     // ✅ Check if token is valid and unused
-    const validToken = await Token.findOne({ token, status: "success" });
-    if (!validToken) {
-      return res.status(400).json({ message: "Invalid or already used token." });
+    const { token: validToken, error: tokenError } = await findUsableToken(token, "public-registration");
+    if (tokenError) {
+      return res.status(400).json({ message: tokenError });
     }
 
     // ✅ Check for duplicate email or phone
@@ -1259,15 +6147,21 @@ app.post("/api/public/register", upload.single("passport"), async (req, res) =>
       name,
       phone,
       email,
-      password,
+      password: await hashPassword(password),
       passport
     });
 
-    await newUser.save();
+    // ✅ Mark token as used — claimed first so two sign-ups can't share it
+    if (!(await claimToken(validToken))) {
+      return res.status(400).json({ message: "Invalid or already used token." });
+    }
 
-    // ✅ Mark token as used
-    validToken.status = "used";
-    await validToken.save();
+    try {
+      await newUser.save();
+    } catch (err) {
+      await releaseToken(validToken);
+      throw err;
+    }
 
     res.status(201).json({ message: "Public user registered successfully." });
 
@@ -1281,13 +6175,14 @@ app.post("/api/public/register", upload.single("passport"), async (req, res) =>
 });
 
 // ✅ Mark token as used
-app.patch('/api/tokens/mark-used/:token', async (req, res) => {
+// Registration claims tokens itself; this is only for voiding a token by hand
+app.patch('/api/tokens/mark-used/:token', requireRole("super-admin"), async (req, res) => {
   const { token } = req.params;
 
   try {
     const updated = await Token.findOneAndUpdate(
-      { token },
-      { status: 'used' },
+      { token: normalizeTokenCode(token).code },
+      { status: 'used', usedAt: new Date() },
       { new: true }
     );
 
@@ -1317,10 +6212,12 @@ app.post("/api/public/login", async (req, res) => {
       return res.status(404).json({ message: "No user found with this email." });
     }
 
-    if (publicUser.password !== password) {
+    if (!(await verifyPassword(publicUser, password))) {
       return res.status(401).json({ message: "Incorrect password." });
     }
 
+    const tokens = await issueAuthTokens(publicUser, "public", publicUser.email);
+
     res.status(200).json({
       message: "Login successful",
       publicUser: {
@@ -1329,7 +6226,8 @@ app.post("/api/public/login", async (req, res) => {
         email: publicUser.email,
         phone: publicUser.phone,
         type: "public"
-      }
+      },
+      ...tokens
     });
   } catch (error) {
     console.error("Public login error:", error.message);
@@ -1338,7 +6236,7 @@ app.post("/api/public/login", async (req, res) => {
 });
 
 // Public Users Dashboard
-app.get("/api/public-users/dashboard", async (req, res) => {
+app.get("/api/public-users/dashboard", requireRole("bursar"), async (req, res) => {
   try {
     const publicUsers = await PublicUser.find().select("-password");
 
@@ -1357,7 +6255,7 @@ app.get("/api/public-users/dashboard", async (req, res) => {
 });
 
 // Download Public Users List
-app.get("/api/public-users/download", async (req, res) => {
+app.get("/api/public-users/download", requireRole("bursar"), async (req, res) => {
   try {
     const publicUsers = await PublicUser.find().lean();
 